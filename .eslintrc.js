@@ -6,6 +6,7 @@ module.exports = {
       "jest": true
   },
   "extends": "eslint:recommended",
+  "parser": "@babel/eslint-parser", // For decorators (see attribute() in src/attributes.mixin.js).
   "parserOptions": {
       "ecmaVersion": "latest",
       "sourceType": "module"
@@ -4,5 +4,8 @@ module.exports = {
       '@babel/preset-env',
       { targets: { node: 'current'} }
     ]
+  ],
+  plugins: [
+    ['@babel/plugin-proposal-decorators', { version: '2023-11' }]
   ]
 };
@@ -0,0 +1,208 @@
+/**
+ * Generates a Custom Elements Manifest (custom-elements.json) and TypeScript declarations (a .d.ts file next to
+ * each module) for web components that use the attributes mixin, from their static attributes arrays.
+ *
+ * The component modules are imported in Node (18.19 or later) under a minimal DOM shim, which is just enough to define
+ * custom elements (HTMLElement, customElements, document.createElement() and CSSStyleSheet). Components that use
+ * other DOM APIs when their module is imported (rather than when they are constructed) are not supported.
+ *
+ * Existing .d.ts files that this script did not generate are left alone, unless --force is passed.
+ *
+ * @example
+ * ```
+ * node scripts/generate-manifest.mjs src/tab-list.js src/filter-panel.js
+ * node scripts/generate-manifest.mjs --manifest dist/custom-elements.json --no-declarations src/*.js
+ * ```
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import nodeModule from 'node:module'; // Not a named import, which older versions of Node without register() cannot link.
+import { dirname, relative, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+/**
+ * The first line of the .d.ts files this script writes, by which it recognizes them.
+ *
+ * @type {string}
+ */
+const DECLARATIONS_HEADER = '// Generated by scripts/generate-manifest.mjs. Changes are overwritten when it runs again.';
+/**
+ * The custom element definitions made while importing the component modules, in order.
+ *
+ * @type {{ tagName: string, constructor: typeof HTMLElement, modulePath: string }[]}
+ */
+const definitions = [];
+/**
+ * The component module being imported (see importModules), whose definitions are recorded against it.
+ *
+ * @type {?string}
+ */
+let importingModulePath = null;
+
+/**
+ * Install the DOM shim on the global object, unless a DOM (i.e. jsdom) is already available.
+ *
+ * @returns {void}
+ */
+const installDomShim = () => {
+  if (globalThis.HTMLElement) {
+    return;
+  }
+
+  class HTMLElement {}
+  class CSSStyleSheet {
+    replace() {
+      return Promise.resolve(this);
+    }
+    replaceSync() {}
+  }
+
+  const registry = new Map();
+
+  Object.assign(globalThis, {
+    window: globalThis,
+    HTMLElement,
+    CSSStyleSheet,
+    customElements: {
+      define(tagName, constructor) {
+        if (registry.has(tagName)) {
+          throw new DOMException(`The name "${tagName}" has already been used with this registry.`, 'NotSupportedError');
+        }
+        constructor.observedAttributes; // Like customElements.define(), so invalid attribute configs throw here.
+        registry.set(tagName, constructor);
+        definitions.push({ tagName, constructor, modulePath: importingModulePath });
+      },
+      get(tagName) {
+        return registry.get(tagName);
+      },
+      whenDefined(tagName) {
+        return Promise.resolve(registry.get(tagName));
+      }
+    },
+    document: {
+      createElement() {
+        return new HTMLElement(); // i.e. for a <template> whose innerHTML is set when the module is imported.
+      }
+    }
+  });
+};
+/**
+ * Import the component modules one by one, so that the custom elements each one defines are recorded against it.
+ *
+ * @param {string[]} modulePaths - Relative to the current working directory.
+ * @returns {Promise.<Map.<string, Object>>} The namespace objects of the modules, by module path.
+ */
+const importModules = async (modulePaths) => {
+  const namespaces = new Map();
+
+  for (const modulePath of modulePaths) {
+    importingModulePath = modulePath;
+    namespaces.set(modulePath, await import(pathToFileURL(resolve(modulePath)).href));
+  }
+  importingModulePath = null;
+
+  return namespaces;
+};
+/**
+ * Group the custom element definitions by the module that exports their class (or else the module that was
+ * being imported when it was defined), leaving out classes that do not use the attributes mixin.
+ *
+ * @param {string[]} modulePaths
+ * @param {Map.<string, Object>} namespaces
+ * @returns {CustomElementModule[]}
+ */
+const getCustomElementModules = (modulePaths, namespaces) => {
+  const findExport = (constructor) => {
+    for (const [modulePath, namespace] of namespaces) {
+      const exportName = Object.keys(namespace).find((name) => namespace[name] === constructor);
+
+      if (exportName) {
+        return { modulePath, exportName };
+      }
+    }
+
+    return null;
+  };
+
+  return modulePaths.map((modulePath) => {
+    return {
+      path: modulePath.split(sep).join('/'),
+      definitions: definitions.filter(({ constructor }) => {
+        return typeof constructor.describeAttributes === 'function';
+      }).filter(({ constructor, modulePath: definingModulePath }) => {
+        return (findExport(constructor)?.modulePath ?? definingModulePath) === modulePath;
+      }).map(({ tagName, constructor }) => {
+        return { tagName, constructor, exportName: findExport(constructor)?.exportName ?? null };
+      })
+    };
+  }).filter(({ definitions: moduleDefinitions }) => moduleDefinitions.length);
+};
+/**
+ * Whether a .d.ts file can be written: it does not exist or this script wrote it.
+ *
+ * @param {string} declarationsPath
+ * @returns {Promise.<boolean>}
+ */
+const isWritable = async (declarationsPath) => {
+  try {
+    return (await readFile(declarationsPath, 'utf8')).startsWith(DECLARATIONS_HEADER);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return true;
+    }
+    throw error;
+  }
+};
+/**
+ * @param {string[]} args - The command line arguments.
+ * @returns {Promise.<void>}
+ */
+const main = async (args) => {
+  const manifestIndex = args.indexOf('--manifest');
+  const manifestPath = manifestIndex === -1 ? 'custom-elements.json' : args[manifestIndex + 1];
+  const writeDeclarations = !args.includes('--no-declarations');
+  const force = args.includes('--force');
+  const modulePaths = args.filter((arg, index) => {
+    return !arg.startsWith('--') && (manifestIndex === -1 || index !== manifestIndex + 1);
+  }).map((modulePath) => relative(process.cwd(), resolve(modulePath)));
+
+  if (!modulePaths.length || !manifestPath) {
+    throw new Error('Usage: node scripts/generate-manifest.mjs [--manifest custom-elements.json] [--no-declarations] [--force] <module>...');
+  }
+  if (typeof nodeModule.register !== 'function') {
+    throw new Error(`Generating the manifest requires Node 18.19 or later (this is ${process.version}).`);
+  }
+
+  // The sources of this package are ES modules in a package without "type": "module", see source-format-hooks.mjs.
+  nodeModule.register('./source-format-hooks.mjs', import.meta.url);
+  installDomShim();
+
+  // Imported after the shim is installed, in case the components import the mixin from this package.
+  const { createManifest, createDeclarations } = await import('../src/custom-elements-manifest.js');
+  const tokenListPath = fileURLToPath(new URL('../src/attribute-token-list.js', import.meta.url));
+  const modules = getCustomElementModules(modulePaths, await importModules(modulePaths));
+
+  await writeFile(manifestPath, `${JSON.stringify(createManifest(modules), null, 2)}\n`);
+  console.log(`Wrote ${manifestPath} (${modules.flatMap(({ definitions: moduleDefinitions }) => moduleDefinitions).length} custom elements).`);
+
+  if (!writeDeclarations) {
+    return;
+  }
+
+  for (const module of modules) {
+    const declarationsPath = module.path.replace(/\.js$/, '.d.ts').replace(/\.mjs$/, '.d.mts');
+    const tokenListModule = relative(dirname(resolve(declarationsPath)), tokenListPath).split(sep).join('/');
+
+    if (!force && !(await isWritable(declarationsPath))) {
+      console.log(`Skipped ${declarationsPath}, which was not generated by this script (pass --force to overwrite it).`);
+      continue;
+    }
+
+    await writeFile(declarationsPath, `${DECLARATIONS_HEADER}\n${createDeclarations(module, { tokenListModule: tokenListModule.startsWith('.') ? tokenListModule : `./${tokenListModule}`, modules })}`);
+    console.log(`Wrote ${declarationsPath}.`);
+  }
+};
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,29 @@
+/**
+ * Module customization hooks (see module.register()) that load the sources of this package as ES modules.
+ *
+ * The package.json of the package does not set "type": "module", so without these hooks Node would only load
+ * them (with a MODULE_TYPELESS_PACKAGE_JSON warning) if it detects their module syntax, which older versions do not.
+ */
+
+/**
+ * The URL of the sources of this package, which are ES modules.
+ *
+ * @type {string}
+ */
+const SOURCE_URL = new URL('../src/', import.meta.url).href;
+
+/**
+ * @param {string} url
+ * @param {Object} context
+ * @param {function(string, Object): Promise.<Object>} nextLoad
+ * @returns {Promise.<Object>}
+ */
+const load = (url, context, nextLoad) => {
+  if (url.startsWith(SOURCE_URL) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+
+  return nextLoad(url, context);
+};
+
+export { load };
@@ -0,0 +1,231 @@
+/**
+ * A live list of space-separated tokens, modelled on DOMTokenList (i.e. classList or relList).
+ *
+ * The list does not store its tokens. Every read and write goes through the getValue and setValue
+ * callbacks, so it always reflects the current value of the attribute it is backed by.
+ *
+ * @example
+ * ```
+ * const features = new AttributeTokenList({
+ *   getValue: () => element.getAttribute('features'),
+ *   setValue: (value) => element.setAttribute('features', value)
+ * });
+ *
+ * features.add('a', 'b'); // features="a b"
+ * features.toggle('a'); // features="b"
+ * features.contains('b'); // true
+ * ```
+ */
+class AttributeTokenList {
+  /**
+   * @private
+   * @type {function(): ?string}
+   */
+  #getValue;
+  /**
+   * @private
+   * @type {function(string): void}
+   */
+  #setValue;
+  /**
+   * @param {Object} options
+   * @param {function(): ?string} options.getValue - Returns the current value of the attribute.
+   * @param {function(string): void} options.setValue - Sets the value of the attribute.
+   */
+  constructor({ getValue, setValue }) {
+    this.#getValue = getValue;
+    this.#setValue = setValue;
+  }
+  /**
+   * The number of tokens in the list.
+   *
+   * @readonly
+   * @type {number}
+   */
+  get length() {
+    return this.#tokens.length;
+  }
+  /**
+   * The value of the attribute the list is backed by.
+   *
+   * @type {string}
+   */
+  get value() {
+    return this.#getValue() ?? '';
+  }
+  set value(value) {
+    this.#setValue(String(value));
+  }
+  /**
+   * The tokens of the attribute value, without duplicates, in the order they first appear.
+   *
+   * @private
+   * @readonly
+   * @type {string[]}
+   */
+  get #tokens() {
+    return [...new Set(this.value.split(/\s+/).filter(Boolean))];
+  }
+  /**
+   * @param {number} index
+   * @returns {?string} The token at the given index or null if the index is out of range.
+   */
+  item(index) {
+    return this.#tokens[index] ?? null;
+  }
+  /**
+   * @param {string} token
+   * @returns {boolean}
+   */
+  contains(token) {
+    return this.#tokens.includes(String(token));
+  }
+  /**
+   * Adds the given tokens, ignoring any that are already in the list.
+   *
+   * @param {...string} tokens
+   * @throws Will throw a SyntaxError DOMException if a token is an empty string.
+   * @throws Will throw an InvalidCharacterError DOMException if a token contains whitespace.
+   * @returns {void}
+   */
+  add(...tokens) {
+    AttributeTokenList.#validateTokens(tokens);
+    this.#update([...new Set([...this.#tokens, ...tokens.map(String)])]);
+  }
+  /**
+   * Removes the given tokens, ignoring any that are not in the list.
+   *
+   * @param {...string} tokens
+   * @throws Will throw a SyntaxError DOMException if a token is an empty string.
+   * @throws Will throw an InvalidCharacterError DOMException if a token contains whitespace.
+   * @returns {void}
+   */
+  remove(...tokens) {
+    AttributeTokenList.#validateTokens(tokens);
+    this.#update(this.#tokens.filter((token) => !tokens.map(String).includes(token)));
+  }
+  /**
+   * Removes the token if it is in the list, otherwise adds it.
+   *
+   * @param {string} token
+   * @param {boolean} [force] - If true, only add the token. If false, only remove it.
+   * @throws Will throw a SyntaxError DOMException if the token is an empty string.
+   * @throws Will throw an InvalidCharacterError DOMException if the token contains whitespace.
+   * @returns {boolean} Whether the token is in the list after the call.
+   */
+  toggle(token, force) {
+    AttributeTokenList.#validateTokens([token]);
+
+    const contains = this.contains(token);
+
+    if (contains && force !== true) {
+      this.remove(token);
+
+      return false;
+    }
+
+    if (!contains && force !== false) {
+      this.add(token);
+
+      return true;
+    }
+
+    return contains;
+  }
+  /**
+   * Replaces a token with a new token, keeping its position in the list.
+   *
+   * @param {string} token
+   * @param {string} newToken
+   * @throws Will throw a SyntaxError DOMException if either token is an empty string.
+   * @throws Will throw an InvalidCharacterError DOMException if either token contains whitespace.
+   * @returns {boolean} Whether the token was in the list (and so was replaced).
+   */
+  replace(token, newToken) {
+    AttributeTokenList.#validateTokens([token, newToken]);
+
+    if (!this.contains(token)) {
+      return false;
+    }
+
+    this.#update([...new Set(this.#tokens.map((existingToken) => {
+      return existingToken === String(token) ? String(newToken) : existingToken;
+    }))]);
+
+    return true;
+  }
+  /**
+   * @param {function(string, number, AttributeTokenList): void} callback
+   * @param {*} [thisArg]
+   * @returns {void}
+   */
+  forEach(callback, thisArg) {
+    this.#tokens.forEach((token, index) => {
+      callback.call(thisArg, token, index, this);
+    });
+  }
+  /**
+   * @returns {Iterator.<number>}
+   */
+  keys() {
+    return this.#tokens.keys();
+  }
+  /**
+   * @returns {Iterator.<string>}
+   */
+  values() {
+    return this.#tokens.values();
+  }
+  /**
+   * @returns {Iterator.<Array>}
+   */
+  entries() {
+    return this.#tokens.entries();
+  }
+  /**
+   * @returns {Iterator.<string>}
+   */
+  [Symbol.iterator]() {
+    return this.values();
+  }
+  /**
+   * @returns {string}
+   */
+  toString() {
+    return this.value;
+  }
+  /**
+   * @private
+   * @method
+   * @param {string[]} tokens
+   * @returns {void}
+   */
+  #update(tokens) {
+    // Like DOMTokenList, do not create the attribute if there was nothing to remove.
+    if (!tokens.length && this.#getValue() === null) {
+      return;
+    }
+    this.#setValue(tokens.join(' '));
+  }
+  /**
+   * @private
+   * @static
+   * @method
+   * @param {string[]} tokens
+   * @throws Will throw a SyntaxError DOMException if a token is an empty string.
+   * @throws Will throw an InvalidCharacterError DOMException if a token contains whitespace.
+   * @returns {void}
+   */
+  static #validateTokens(tokens) {
+    tokens.map(String).forEach((token) => {
+      if (token === '') {
+        throw new DOMException('The token provided must not be empty.', 'SyntaxError');
+      }
+      if (/\s/.test(token)) {
+        throw new DOMException(`The token provided ("${token}") contains HTML space characters, which are not valid in tokens.`, 'InvalidCharacterError');
+      }
+    });
+  }
+}
+
+export { AttributeTokenList };
@@ -0,0 +1,133 @@
+import { AttributeTokenList } from './attribute-token-list.js';
+
+describe('AttributeTokenList', () => {
+  let element;
+  let tokenList;
+  beforeEach(() => {
+    element = document.createElement('div');
+    tokenList = new AttributeTokenList({
+      getValue: () => element.getAttribute('features'),
+      setValue: (value) => element.setAttribute('features', value)
+    });
+  });
+
+  it('should be live', () => {
+    expect(tokenList.length).toEqual(0);
+    expect(tokenList.value).toEqual('');
+
+    element.setAttribute('features', '  a b\n a  c ');
+
+    expect(tokenList.length).toEqual(3);
+    expect(tokenList.value).toEqual('  a b\n a  c ');
+    expect(tokenList.toString()).toEqual('  a b\n a  c ');
+    expect([...tokenList]).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should set the attribute value', () => {
+    tokenList.value = 'a b';
+
+    expect(element.getAttribute('features')).toEqual('a b');
+  });
+
+  describe('item()', () => {
+    it('should return the token at the given index or null', () => {
+      element.setAttribute('features', 'a b');
+
+      expect(tokenList.item(1)).toEqual('b');
+      expect(tokenList.item(2)).toBeNull();
+    });
+  });
+
+  describe('contains()', () => {
+    it('should return whether the token is in the list', () => {
+      element.setAttribute('features', 'a b');
+
+      expect(tokenList.contains('a')).toEqual(true);
+      expect(tokenList.contains('c')).toEqual(false);
+    });
+  });
+
+  describe('add()', () => {
+    it('should add tokens that are not already in the list and remove duplicate whitespace and tokens', () => {
+      element.setAttribute('features', 'a  b a');
+
+      tokenList.add('c', 'a', 'd');
+
+      expect(element.getAttribute('features')).toEqual('a b c d');
+    });
+
+    it('should throw an error if a token is empty or contains whitespace', () => {
+      expect(() => {
+        tokenList.add('');
+      }).toThrow(expect.objectContaining({ name: 'SyntaxError' }));
+
+      expect(() => {
+        tokenList.add('a b');
+      }).toThrow(expect.objectContaining({ name: 'InvalidCharacterError' }));
+
+      expect(element.hasAttribute('features')).toEqual(false);
+    });
+  });
+
+  describe('remove()', () => {
+    it('should remove tokens', () => {
+      element.setAttribute('features', 'a b c');
+
+      tokenList.remove('a', 'c', 'd');
+
+      expect(element.getAttribute('features')).toEqual('b');
+    });
+
+    it('should not create the attribute if it does not exist', () => {
+      tokenList.remove('a');
+
+      expect(element.hasAttribute('features')).toEqual(false);
+    });
+  });
+
+  describe('toggle()', () => {
+    it('should add the token if it is not in the list and remove it if it is', () => {
+      expect(tokenList.toggle('a')).toEqual(true);
+      expect(element.getAttribute('features')).toEqual('a');
+
+      expect(tokenList.toggle('a')).toEqual(false);
+      expect(element.getAttribute('features')).toEqual('');
+    });
+
+    it('should only add or remove the token if force is set', () => {
+      expect(tokenList.toggle('a', false)).toEqual(false);
+      expect(tokenList.toggle('a', true)).toEqual(true);
+      expect(tokenList.toggle('a', true)).toEqual(true);
+      expect(element.getAttribute('features')).toEqual('a');
+    });
+  });
+
+  describe('replace()', () => {
+    it('should replace the token in place and return whether it was replaced', () => {
+      element.setAttribute('features', 'a b c');
+
+      expect(tokenList.replace('b', 'd')).toEqual(true);
+      expect(element.getAttribute('features')).toEqual('a d c');
+
+      expect(tokenList.replace('b', 'e')).toEqual(false);
+      expect(element.getAttribute('features')).toEqual('a d c');
+
+      expect(tokenList.replace('a', 'c')).toEqual(true);
+      expect(element.getAttribute('features')).toEqual('c d');
+    });
+  });
+
+  describe('iteration', () => {
+    it('should iterate over the tokens', () => {
+      const forEachSpy = jest.fn();
+
+      element.setAttribute('features', 'a b');
+      tokenList.forEach(forEachSpy);
+
+      expect(forEachSpy.mock.calls).toEqual([['a', 0, tokenList], ['b', 1, tokenList]]);
+      expect([...tokenList.keys()]).toEqual([0, 1]);
+      expect([...tokenList.values()]).toEqual(['a', 'b']);
+      expect([...tokenList.entries()]).toEqual([[0, 'a'], [1, 'b']]);
+    });
+  });
+});
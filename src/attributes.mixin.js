@@ -1,6 +1,746 @@
+import { AttributeTokenList } from './attribute-token-list.js';
 /**
  * @typedef {import('./attributes.mixin.typedef.js')}
  */
+/**
+ * The key of the attribute configs declared with the attribute decorator in the decorator metadata of a class.
+ *
+ * @private
+ * @type {symbol}
+ */
+const DECORATED_ATTRIBUTE_CONFIGS = Symbol('attributes');
+/**
+ * @private
+ * @type {string[]}
+ */
+const ATTRIBUTE_TYPES = ['array', 'boolean', 'enum', 'integer', 'json', 'number', 'string', 'tokens', 'unsigned'];
+/**
+ * @private
+ * @type {string[]}
+ */
+const JSON_ATTRIBUTE_TYPES = ['array', 'json'];
+/**
+ * @private
+ * @type {string[]}
+ */
+const NUMERIC_ATTRIBUTE_TYPES = ['integer', 'number', 'unsigned'];
+/**
+ * @private
+ * @type {string[]}
+ */
+const ATTRIBUTE_CONFIG_PROPERTIES = [
+  'idlName',
+  'contentName',
+  'proxyTarget',
+  'proxyKey',
+  'type',
+  'defaultValue',
+  'readonly',
+  'values',
+  'invalidValueDefault',
+  'min',
+  'max',
+  'step',
+  'fromAttribute',
+  'toAttribute',
+  'onParseError',
+  'formValue',
+  'required',
+  'pattern',
+  'minLength',
+  'maxLength',
+  'validate',
+  'aria',
+  'state',
+  'changed',
+  'event',
+  'hasChanged',
+  'forwardTo',
+  'compute',
+  'dependsOn',
+  'aliases',
+  'deprecated',
+  'persist',
+  'urlParam'
+];
+/**
+ * @private
+ * @type {string[]}
+ */
+const CONSTRAINT_PROPERTIES = ['required', 'pattern', 'minLength', 'maxLength', 'validate'];
+/**
+ * The global attributes of HTML elements, which development mode does not warn about (see attributesMixin.devMode).
+ * Attributes starting with aria-, data- or on are not warned about either.
+ *
+ * @private
+ * @type {string[]}
+ */
+const GLOBAL_ATTRIBUTES = [
+  'accesskey',
+  'autocapitalize',
+  'autofocus',
+  'class',
+  'contenteditable',
+  'dir',
+  'draggable',
+  'enterkeyhint',
+  'exportparts',
+  'hidden',
+  'id',
+  'inert',
+  'inputmode',
+  'is',
+  'itemid',
+  'itemprop',
+  'itemref',
+  'itemscope',
+  'itemtype',
+  'lang',
+  'nonce',
+  'part',
+  'popover',
+  'role',
+  'slot',
+  'spellcheck',
+  'style',
+  'tabindex',
+  'title',
+  'translate'
+];
+/**
+ * The flags of a ValidityState, all false.
+ *
+ * @private
+ * @type {Object.<string, boolean>}
+ */
+const VALIDITY_FLAGS = {
+  badInput: false,
+  customError: false,
+  patternMismatch: false,
+  rangeOverflow: false,
+  rangeUnderflow: false,
+  stepMismatch: false,
+  tooLong: false,
+  tooShort: false,
+  typeMismatch: false,
+  valueMissing: false
+};
+/**
+ * Returns the canonical keyword of an enumerated attribute for the given value.
+ *
+ * Follows the HTML spec for enumerated attributes: keywords are matched ASCII case-insensitively,
+ * a missing value (null or undefined) maps to the missing value default (defaultValue) and a value
+ * that matches none of the keywords maps to the invalid value default (invalidValueDefault).
+ * If the relevant default is not set, the attribute has no state and an empty string is returned.
+ *
+ * @private
+ * @param {*} value
+ * @param {AttributeConfig}
+ * @returns {string}
+ */
+const getEnumeratedKeyword = (value, { values, defaultValue, invalidValueDefault }) => {
+  const findKeyword = (keyword) => {
+    if (keyword === null || keyword === undefined) {
+      return undefined;
+    }
+
+    return values.find((allowedKeyword) => {
+      return allowedKeyword.toLowerCase() === String(keyword).toLowerCase();
+    });
+  };
+
+  if (value === null || value === undefined) {
+    return findKeyword(defaultValue) ?? '';
+  }
+
+  return findKeyword(value) ?? findKeyword(invalidValueDefault) ?? '';
+};
+/**
+ * Parses a value as a float (number type) or an integer (integer and unsigned types).
+ *
+ * Unlike parseFloat() and parseInt() alone, this treats null and undefined as NaN
+ * (they are missing values, not zero) and keeps 0 as a valid value.
+ *
+ * @private
+ * @param {*} value
+ * @param {string} attributeType
+ * @returns {number} NaN if the value cannot be parsed.
+ */
+const parseNumber = (value, attributeType) => {
+  if (value === null || value === undefined) {
+    return NaN;
+  }
+
+  return attributeType === 'number' ? parseFloat(value) : parseInt(value, 10);
+};
+/**
+ * Rounds a number to the nearest step (counting from min, or 0) and clamps it to min and max.
+ *
+ * @private
+ * @param {number} number
+ * @param {AttributeConfig}
+ * @returns {number}
+ */
+const constrainNumber = (number, { min, max, step }) => {
+  let constrainedNumber = number;
+
+  if (step) {
+    const stepBase = min ?? 0;
+    const [, stepDecimals = ''] = String(step).split('.');
+
+    constrainedNumber = Number((stepBase + Math.round((constrainedNumber - stepBase) / step) * step).toFixed(stepDecimals.length));
+  }
+
+  if (min !== undefined) {
+    constrainedNumber = Math.max(min, constrainedNumber);
+  }
+
+  if (max !== undefined) {
+    constrainedNumber = Math.min(max, constrainedNumber);
+  }
+
+  return constrainedNumber;
+};
+/**
+ * Returns the value of a numeric (integer, number or unsigned type) attribute.
+ *
+ * Values that cannot be parsed (and negative values for the unsigned type) fall back to the
+ * defaultValue, or null if there is no defaultValue. The result is constrained to min, max and step.
+ *
+ * @private
+ * @param {*} value
+ * @param {AttributeConfig}
+ * @returns {?number}
+ */
+const getNumericValue = (value, { type: attributeType, defaultValue, min, max, step }) => {
+  const isValid = (number) => {
+    return !Number.isNaN(number) && (attributeType !== 'unsigned' || number >= 0);
+  };
+
+  let number = parseNumber(value, attributeType);
+
+  if (!isValid(number)) {
+    number = parseNumber(defaultValue, attributeType);
+  }
+
+  if (!isValid(number)) {
+    return null;
+  }
+
+  return constrainNumber(number, { min, max, step });
+};
+/**
+ * Describes why the unparsed value of an attribute cannot be parsed by its type (numeric, enum, json and array types only).
+ *
+ * @private
+ * @param {*} value
+ * @param {AttributeConfig}
+ * @returns {?string} The reason (to complete a sentence starting with the value), or null if the value can be parsed.
+ */
+const getParseFailure = (value, { type: attributeType, values }) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (NUMERIC_ATTRIBUTE_TYPES.includes(attributeType) && Number.isNaN(parseNumber(value, attributeType))) {
+    return `cannot be parsed as ${attributeType === 'number' ? 'a number' : 'an integer'}`;
+  }
+
+  if (attributeType === 'enum' && !values.some((keyword) => keyword.toLowerCase() === String(value).toLowerCase())) {
+    return `is not one of the keywords ${values.join(', ')}`;
+  }
+
+  if (JSON_ATTRIBUTE_TYPES.includes(attributeType)) {
+    try {
+      if (attributeType === 'array' && !Array.isArray(JSON.parse(value))) {
+        return 'is not a JSON array';
+      }
+    } catch (error) {
+      return 'cannot be parsed as JSON';
+    }
+  }
+
+  return null;
+};
+/**
+ * Returns true if the value is null, undefined, an empty string, false or has a length of 0 (i.e. an empty array).
+ *
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isEmptyValue = (value) => {
+  return value === null || value === undefined || value === '' || value === false || value.length === 0;
+};
+/**
+ * Returns the aliases of an attribute that are Content Attribute names: those without uppercase letters
+ * (which the HTML parser would lowercase), if the attribute has a contentName.
+ *
+ * @private
+ * @param {AttributeConfig}
+ * @returns {string[]}
+ */
+const getContentAliases = ({ contentName, aliases = [] }) => {
+  return contentName ? aliases.filter((alias) => !/[A-Z]/.test(alias)) : [];
+};
+/**
+ * Returns the aliases of an attribute that are IDL Attribute names: those that are valid
+ * JavaScript identifiers (so not i.e. old-name), if the attribute has an idlName.
+ *
+ * @private
+ * @param {AttributeConfig}
+ * @returns {string[]}
+ */
+const getIdlAliases = ({ idlName, aliases = [] }) => {
+  return idlName ? aliases.filter((alias) => /^[A-Za-z_$][\w$]*$/.test(alias)) : [];
+};
+/**
+ * Normalizes the persist property of an attribute config, which is either the name of the storage ('local' or 'session')
+ * or an object with the name of the storage and an optional prefix for the storage key.
+ *
+ * @private
+ * @param {string|{ storage: string, prefix: string }} persist
+ * @returns {{ storage: string, prefix: string }}
+ */
+const getPersistOptions = (persist) => {
+  return typeof persist === 'string' ? { storage: persist, prefix: '' } : { prefix: '', ...persist };
+};
+/**
+ * Normalizes the urlParam property of an attribute config, which is either the name of the URL parameter or an object
+ * with the name, the part of the URL it is in ('search' or 'hash') and how the history is updated ('replace' or 'push').
+ *
+ * @private
+ * @param {string|{ name: string, location: string, history: string }} urlParam
+ * @returns {{ name: string, location: string, history: string }}
+ */
+const getUrlParamOptions = (urlParam) => {
+  return typeof urlParam === 'string' ? { name: urlParam, location: 'search', history: 'replace' } : { location: 'search', history: 'replace', ...urlParam };
+};
+/**
+ * Returns the parameters in the query string or (for urlParam location 'hash') the fragment of a URL, i.e. #tab=2&page=3.
+ *
+ * @private
+ * @param {URL|Location} url
+ * @param {string} urlLocation - 'search' or 'hash'.
+ * @returns {URLSearchParams}
+ */
+const getUrlSearchParams = (url, urlLocation) => {
+  return new URLSearchParams(urlLocation === 'hash' ? url.hash.slice(1) : url.search);
+};
+/**
+ * Returns the selector for the elements in the shadow root that an attribute is forwarded to.
+ *
+ * The forwardTo property of an attribute config is a CSS selector, or a part name written as ::part(name),
+ * which is not a valid selector inside the shadow root, so it is converted to an attribute selector.
+ *
+ * @private
+ * @param {string} forwardTo
+ * @returns {string}
+ */
+const getForwardToSelector = (forwardTo) => {
+  return forwardTo.replace(/^::part\(\s*([^\s)]+)\s*\)$/, '[part~="$1"]');
+};
+/**
+ * Returns true if the attribute config declares any constraints (required, pattern, minLength, maxLength or validate).
+ *
+ * @private
+ * @param {AttributeConfig} attributeConfig
+ * @returns {boolean}
+ */
+const hasConstraints = (attributeConfig) => {
+  return CONSTRAINT_PROPERTIES.some((property) => attributeConfig[property] !== undefined && attributeConfig[property] !== false);
+};
+/**
+ * Checks the value of an attribute against the constraints of its attribute config.
+ *
+ * Like the constraints of native form controls, the pattern, minLength and maxLength constraints only
+ * apply to values that are not empty. Values that are not strings are checked as strings. The validate
+ * function is called last and must return an error message (or false) if the value is invalid.
+ *
+ * @private
+ * @param {*} value - The value of the IDL Attribute.
+ * @param {AttributeConfig}
+ * @param {HTMLElement} element
+ * @returns {{ flag: string, message: string }[]} The violated constraints, if any.
+ */
+const getConstraintViolations = (value, { required, pattern, minLength, maxLength, validate }, element) => {
+  const violations = [];
+  const isEmpty = isEmptyValue(value);
+  const stringValue = isEmpty ? '' : String(value);
+
+  if (required && isEmpty) {
+    violations.push({ flag: 'valueMissing', message: 'Please fill in this field.' });
+  }
+
+  if (!isEmpty && minLength !== undefined && stringValue.length < minLength) {
+    violations.push({ flag: 'tooShort', message: `Please use at least ${minLength} characters (you are currently using ${stringValue.length} characters).` });
+  }
+
+  if (!isEmpty && maxLength !== undefined && stringValue.length > maxLength) {
+    violations.push({ flag: 'tooLong', message: `Please use no more than ${maxLength} characters (you are currently using ${stringValue.length} characters).` });
+  }
+
+  if (!isEmpty && pattern !== undefined) {
+    const patternRegExp = pattern instanceof RegExp ? pattern : new RegExp(`^(?:${pattern})$`, 'u');
+
+    patternRegExp.lastIndex = 0;
+    if (!patternRegExp.test(stringValue)) {
+      violations.push({ flag: 'patternMismatch', message: 'Please match the requested format.' });
+    }
+  }
+
+  if (validate) {
+    const customError = validate(value, element);
+
+    if (customError === false || (typeof customError === 'string' && customError)) {
+      violations.push({ flag: 'customError', message: customError || 'Please enter a valid value.' });
+    }
+  }
+
+  return violations;
+};
+/**
+ * Validates an array of attribute configs and returns a list of problems.
+ *
+ * An empty array means the attribute configs are valid.
+ *
+ * @example
+ * ```
+ * attributesMixin.validate([{ idlName: 'size', attributeType: 'number' }]);
+ * // [{ index: 0, code: 'unknown-property', property: 'attributeType', message: 'Unknown property "attributeType" ...' }]
+ * ```
+ * @param {AttributeConfig[]} attributeConfigs
+ * @returns {AttributeConfigProblem[]}
+ */
+const validateAttributeConfigs = (attributeConfigs) => {
+  if (!Array.isArray(attributeConfigs)) {
+    return [{
+      index: -1,
+      code: 'invalid-attributes',
+      property: 'attributes',
+      message: 'The "attributes" property must be an array of attribute config objects.'
+    }];
+  }
+
+  const problems = [];
+  const idlNames = new Set();
+  const contentNames = new Set();
+  const aliasNames = new Set();
+  const names = attributeConfigs.flatMap((attributeConfig) => [attributeConfig?.idlName, attributeConfig?.contentName]);
+
+  attributeConfigs.forEach((attributeConfig, index) => {
+    const addProblem = (code, property, message) => {
+      problems.push({ index, code, property, message: `${message} (attributes[${index}])` });
+    };
+
+    if (!attributeConfig || typeof attributeConfig !== 'object') {
+      addProblem('invalid-config', null, 'Each attribute config must be an object.');
+
+      return;
+    }
+
+    const {
+      idlName,
+      contentName,
+      proxyTarget,
+      proxyKey,
+      type,
+      defaultValue,
+      readonly,
+      values,
+      invalidValueDefault,
+      min,
+      max,
+      step,
+      fromAttribute,
+      toAttribute,
+      onParseError,
+      formValue,
+      required,
+      pattern,
+      minLength,
+      maxLength,
+      validate,
+      aria,
+      state,
+      changed,
+      event,
+      hasChanged,
+      forwardTo,
+      compute,
+      dependsOn,
+      aliases,
+      deprecated,
+      persist,
+      urlParam
+    } = attributeConfig;
+
+    Object.keys(attributeConfig).filter((property) => {
+      return !ATTRIBUTE_CONFIG_PROPERTIES.includes(property);
+    }).forEach((property) => {
+      addProblem('unknown-property', property, `Unknown property "${property}". Valid properties are ${ATTRIBUTE_CONFIG_PROPERTIES.join(', ')}.`);
+    });
+
+    if (!idlName && !contentName) {
+      addProblem('missing-name', null, 'You must provide a value for at least one of "idlName" or "contentName".');
+    }
+
+    if (idlName) {
+      if (idlNames.has(idlName)) {
+        addProblem('duplicate-idl-name', 'idlName', `The idlName "${idlName}" is used by more than one attribute.`);
+      }
+      idlNames.add(idlName);
+    }
+
+    if (contentName) {
+      if (contentNames.has(contentName)) {
+        addProblem('duplicate-content-name', 'contentName', `The contentName "${contentName}" is used by more than one attribute.`);
+      }
+      contentNames.add(contentName);
+    }
+
+    if (type !== undefined && !ATTRIBUTE_TYPES.includes(type)) {
+      addProblem('invalid-type', 'type', `Invalid type "${type}". Valid types are ${ATTRIBUTE_TYPES.join(', ')}.`);
+    }
+
+    if (type === 'enum') {
+      const isKeyword = (keyword) => {
+        return values.some((allowedKeyword) => allowedKeyword.toLowerCase() === String(keyword).toLowerCase());
+      };
+
+      if (!Array.isArray(values) || !values.length || values.some((keyword) => typeof keyword !== 'string')) {
+        addProblem('invalid-values', 'values', 'You must provide a non-empty array of string keywords for "values" when using the enum type.');
+      } else {
+        if (defaultValue !== undefined && !isKeyword(defaultValue)) {
+          addProblem('invalid-default-value', 'defaultValue', `The defaultValue "${defaultValue}" is not one of the keywords in "values".`);
+        }
+        if (invalidValueDefault !== undefined && !isKeyword(invalidValueDefault)) {
+          addProblem('invalid-default-value', 'invalidValueDefault', `The invalidValueDefault "${invalidValueDefault}" is not one of the keywords in "values".`);
+        }
+      }
+    } else if (values !== undefined || invalidValueDefault !== undefined) {
+      addProblem('enum-property-without-enum-type', values !== undefined ? 'values' : 'invalidValueDefault', 'The "values" and "invalidValueDefault" properties can only be used with the enum type.');
+    }
+
+    if (NUMERIC_ATTRIBUTE_TYPES.includes(type)) {
+      [['min', min], ['max', max], ['step', step]].filter(([, number]) => {
+        return number !== undefined && !Number.isFinite(number);
+      }).forEach(([property, number]) => {
+        addProblem('invalid-range', property, `The ${property} "${number}" must be a finite number.`);
+      });
+
+      if (Number.isFinite(min) && Number.isFinite(max) && min > max) {
+        addProblem('invalid-range', 'min', `The min "${min}" must not be greater than the max "${max}".`);
+      }
+
+      if (Number.isFinite(step) && step <= 0) {
+        addProblem('invalid-range', 'step', `The step "${step}" must be greater than 0.`);
+      }
+
+      if (type === 'unsigned' && Number.isFinite(min) && min < 0) {
+        addProblem('invalid-range', 'min', `The min "${min}" must not be negative for the unsigned type.`);
+      }
+    } else if (min !== undefined || max !== undefined || step !== undefined) {
+      addProblem('range-property-without-numeric-type', min !== undefined ? 'min' : max !== undefined ? 'max' : 'step', `The "min", "max" and "step" properties can only be used with the ${NUMERIC_ATTRIBUTE_TYPES.join(', ')} types.`);
+    }
+
+    [['fromAttribute', fromAttribute], ['toAttribute', toAttribute]].filter(([, converter]) => {
+      return converter !== undefined && typeof converter !== 'function';
+    }).forEach(([property]) => {
+      addProblem('invalid-converter', property, `The "${property}" property must be a function.`);
+    });
+
+    if ((fromAttribute !== undefined || toAttribute !== undefined) && type !== undefined) {
+      addProblem('converter-with-type', 'type', 'The "type" property cannot be used with the "fromAttribute" or "toAttribute" properties.');
+    }
+
+    if (onParseError !== undefined) {
+      if (!JSON_ATTRIBUTE_TYPES.includes(type)) {
+        addProblem('parse-error-handler-without-json-type', 'onParseError', `The "onParseError" property can only be used with the ${JSON_ATTRIBUTE_TYPES.join(', ')} types.`);
+      } else if (typeof onParseError !== 'function') {
+        addProblem('invalid-parse-error-handler', 'onParseError', 'The "onParseError" property must be a function.');
+      }
+    }
+
+    if (formValue) {
+      if (!idlName) {
+        addProblem('form-value-without-idl-name', 'formValue', 'You must provide a value for "idlName" when using formValue.');
+      }
+      if (attributeConfigs.slice(0, index).some((previousAttributeConfig) => previousAttributeConfig?.formValue)) {
+        addProblem('duplicate-form-value', 'formValue', 'Only one attribute can be the formValue.');
+      }
+    }
+
+    if (hasConstraints(attributeConfig)) {
+      if (!idlName) {
+        addProblem('constraint-without-idl-name', CONSTRAINT_PROPERTIES.find((property) => attributeConfig[property] !== undefined), 'You must provide a value for "idlName" when using required, pattern, minLength, maxLength or validate.');
+      }
+
+      if (required !== undefined && typeof required !== 'boolean') {
+        addProblem('invalid-constraint', 'required', 'The "required" property must be a boolean.');
+      }
+
+      if (pattern !== undefined && !(pattern instanceof RegExp)) {
+        try {
+          new RegExp(pattern, 'u');
+        } catch (error) {
+          addProblem('invalid-constraint', 'pattern', `The pattern "${pattern}" is not a valid regular expression.`);
+        }
+      }
+
+      [['minLength', minLength], ['maxLength', maxLength]].filter(([, length]) => {
+        return length !== undefined && !(Number.isInteger(length) && length >= 0);
+      }).forEach(([property, length]) => {
+        addProblem('invalid-constraint', property, `The ${property} "${length}" must be a non-negative integer.`);
+      });
+
+      if (Number.isInteger(minLength) && Number.isInteger(maxLength) && minLength > maxLength) {
+        addProblem('invalid-constraint', 'minLength', `The minLength "${minLength}" must not be greater than the maxLength "${maxLength}".`);
+      }
+
+      if (validate !== undefined && typeof validate !== 'function') {
+        addProblem('invalid-constraint', 'validate', 'The "validate" property must be a function.');
+      }
+    }
+
+    if (aria !== undefined) {
+      if (!idlName) {
+        addProblem('aria-without-idl-name', 'aria', 'You must provide a value for "idlName" when using aria.');
+      }
+      if (typeof aria !== 'string' || !/^aria[A-Z][a-zA-Z]*$/.test(aria)) {
+        addProblem('invalid-aria', 'aria', `The aria "${aria}" must be the name of an ARIA property of ElementInternals i.e. ariaPressed.`);
+      }
+    }
+
+    if (state !== undefined) {
+      if (!idlName) {
+        addProblem('state-without-idl-name', 'state', 'You must provide a value for "idlName" when using state.');
+      }
+      if (typeof state !== 'string' || !/^[^\s]+$/.test(state)) {
+        addProblem('invalid-state', 'state', `The state "${state}" must be a non-empty string without whitespace.`);
+      }
+    }
+
+    if (changed !== undefined && typeof changed !== 'function' && !(typeof changed === 'string' && changed)) {
+      addProblem('invalid-change-handler', 'changed', 'The "changed" property must be a function or the name of a method of the element.');
+    }
+
+    if (event !== undefined && typeof event !== 'boolean' && !(typeof event === 'string' && event)) {
+      addProblem('invalid-event', 'event', 'The "event" property must be a boolean or the name of the event to dispatch.');
+    }
+
+    if (hasChanged !== undefined && typeof hasChanged !== 'function') {
+      addProblem('invalid-has-changed', 'hasChanged', 'The "hasChanged" property must be a function.');
+    }
+
+    if (forwardTo !== undefined) {
+      if (!contentName) {
+        addProblem('forward-to-without-content-name', 'forwardTo', 'You must provide a value for "contentName" when using forwardTo.');
+      }
+      if (typeof forwardTo !== 'string' || !forwardTo.trim()) {
+        addProblem('invalid-forward-to', 'forwardTo', 'The "forwardTo" property must be a CSS selector or a part name i.e. ::part(input).');
+      }
+    }
+
+    if (proxyTarget !== undefined && typeof proxyTarget !== 'function' && !(typeof proxyTarget === 'string' && /^[^.]+(\.[^.]+)*$/.test(proxyTarget))) {
+      addProblem('invalid-proxy-target', 'proxyTarget', 'The "proxyTarget" property must be the name (or dotted path i.e. refs.input) of a property of the element or a function that returns the target.');
+    }
+
+    if (proxyKey !== undefined) {
+      if (!proxyTarget) {
+        addProblem('proxy-key-without-proxy-target', 'proxyKey', 'You must provide a value for "proxyTarget" when using proxyKey.');
+      }
+      if (typeof proxyKey !== 'string' || !proxyKey) {
+        addProblem('invalid-proxy-key', 'proxyKey', 'The "proxyKey" property must be a non-empty string.');
+      }
+    }
+
+    if (proxyTarget && !idlName) {
+      addProblem('proxy-target-without-idl-name', 'proxyTarget', 'You must provide a value for "idlName" when using a proxyTarget.');
+    }
+
+    if (proxyTarget && contentName) {
+      addProblem('proxy-target-with-content-name', 'proxyTarget', 'The "contentName" and "proxyTarget" properties cannot be used together.');
+    }
+
+    if (readonly && contentName) {
+      addProblem('readonly-with-content-name', 'readonly', 'The "contentName" and "readonly" properties cannot be used together.');
+    }
+
+    if (readonly && !proxyTarget && !compute && defaultValue === undefined) {
+      addProblem('readonly-without-value', 'readonly', 'You must provide a proxyTarget, defaultValue or compute function for readonly attributes.');
+    }
+
+    if (compute !== undefined) {
+      const incompatibleProperty = ['contentName', 'proxyTarget', 'type', 'defaultValue', 'fromAttribute', 'toAttribute'].find((property) => {
+        return attributeConfig[property] !== undefined;
+      });
+
+      if (!idlName) {
+        addProblem('compute-without-idl-name', 'compute', 'You must provide a value for "idlName" when using compute.');
+      }
+      if (typeof compute !== 'function') {
+        addProblem('invalid-compute', 'compute', 'The "compute" property must be a function.');
+      }
+      if (incompatibleProperty) {
+        addProblem('compute-with-incompatible-property', incompatibleProperty, `The "compute" and "${incompatibleProperty}" properties cannot be used together.`);
+      }
+    }
+
+    if (dependsOn !== undefined) {
+      if (compute === undefined) {
+        addProblem('depends-on-without-compute', 'dependsOn', 'You must provide a compute function when using dependsOn.');
+      }
+      if (!Array.isArray(dependsOn) || !dependsOn.every((dependency) => typeof dependency === 'string' && dependency)) {
+        addProblem('invalid-depends-on', 'dependsOn', 'The "dependsOn" property must be an array of the idlNames or contentNames of other attributes.');
+      }
+    }
+
+    if (aliases !== undefined) {
+      if (!Array.isArray(aliases) || !aliases.every((alias) => typeof alias === 'string' && alias)) {
+        addProblem('invalid-aliases', 'aliases', 'The "aliases" property must be an array of non-empty strings.');
+      } else {
+        aliases.filter((alias) => {
+          return !getContentAliases(attributeConfig).includes(alias) && !getIdlAliases(attributeConfig).includes(alias);
+        }).forEach((alias) => {
+          addProblem('invalid-aliases', 'aliases', `The alias "${alias}" must be a Content Attribute name without uppercase letters (requires contentName) or an IDL Attribute name that is a valid identifier (requires idlName).`);
+        });
+        aliases.filter((alias) => names.includes(alias) || aliasNames.has(alias)).forEach((alias) => {
+          addProblem('duplicate-alias', 'aliases', `The alias "${alias}" is already the name or alias of an attribute.`);
+        });
+        aliases.forEach((alias) => aliasNames.add(alias));
+      }
+    }
+
+    if (deprecated !== undefined && (typeof deprecated !== 'string' || !deprecated)) {
+      addProblem('invalid-deprecated', 'deprecated', 'The "deprecated" property must be a non-empty string.');
+    }
+
+    if (persist !== undefined) {
+      const { storage, prefix } = getPersistOptions(persist);
+
+      if (!['local', 'session'].includes(storage) || typeof prefix !== 'string') {
+        addProblem('invalid-persist', 'persist', 'The "persist" property must be "local", "session" or an object with a storage ("local" or "session") and an optional prefix (string).');
+      }
+      if (readonly || compute) {
+        addProblem('invalid-persist', 'persist', 'The "persist" property cannot be used with readonly or computed attributes.');
+      }
+    }
+
+    if (urlParam !== undefined) {
+      const { name, location: urlLocation, history: historyMode } = getUrlParamOptions(urlParam);
+
+      if (typeof name !== 'string' || !name || !['search', 'hash'].includes(urlLocation) || !['replace', 'push'].includes(historyMode)) {
+        addProblem('invalid-url-param', 'urlParam', 'The "urlParam" property must be a non-empty string or an object with a name (non-empty string), an optional location ("search" or "hash") and an optional history ("replace" or "push").');
+      }
+      if (readonly || compute) {
+        addProblem('invalid-url-param', 'urlParam', 'The "urlParam" property cannot be used with readonly or computed attributes.');
+      }
+    }
+  });
+
+  return problems;
+};
 /**
  * Attributes Mixin intended for use with Web Component (Custom Element) classes only.
  *
@@ -10,7 +750,8 @@
  *
  * The sub class must define its optional attributeChangedCallback lifecycle callback as normal.
  *
- * Changes to non-reflecting IDL Attributes will also trigger the attributeChangedCallback lifecycle callback.
+ * Changes to non-reflecting IDL Attributes will also trigger the attributeChangedCallback lifecycle callback
+ * (but setting one to its current value will not, see the hasChanged property of AttributeConfig).
  *
  * @example
  * ```
@@ -33,6 +774,9 @@
  * webComponent.setAttribute('non-reflecting-attribute', 'abc'); // attributeChangedCallback() is called
  * webComponent.reflectingAttribute = 'abc'; // The Content Attribute "reflecting-attribute" is set and attributeChangedCallback() is called
  * ```
+ * The static attributes array is validated when the sub class is passed to customElements.define()
+ * (see attributesMixin.validate() for the list of checks).
+ *
  * @mixin
  * @param {typeof HTMLElement} Base - This must be either HTMLElement or an instance of HTMLElement.
  * @throws Will throw an error if Base is not HTMLElement or an instance of HTMLElement.
@@ -42,54 +786,1399 @@ const attributesMixin = (Base) => {
     throw new Error(`Base parameter must be HTMLElement or a class that extends from or inherits HTMLElement. Received ${Base.name} which is not an instance of HTMLElement.`);
   }
 
-  return class Mixin extends Base {
+  return class Mixin extends Base {
+    /**
+     * The merged attribute configs of each sub class that has been set up.
+     *
+     * @private
+     * @static
+     * @type {WeakMap.<typeof HTMLElement, AttributeConfig[]>}
+     */
+    static #attributeConfigs = new WeakMap(); // Keyed by sub class, because sub classes of the sub class share this Mixin class definition.
+    /**
+     * The deprecation warnings that have been logged for each sub class (see #warnOnce).
+     *
+     * @private
+     * @static
+     * @type {WeakMap.<typeof HTMLElement, Set.<string>>}
+     */
+    static #warnings = new WeakMap();
+    /**
+     * @static
+     * @type {AttributeConfig[]}
+     */
+    static attributes = []; // In case "attributes" is not defined by the sub class.
+    /**
+     * If true, changes to attributes are coalesced into a single call to the updated() hook per microtask.
+     *
+     * @static
+     * @type {boolean}
+     */
+    static batchedUpdates = false;
+    /**
+     * @private
+     * @type {Map.<string, *>}
+     */
+    #idlAttributes;
+    /**
+     * @private
+     * @type {Map.<string, { rawValue: string, value: * }>}
+     */
+    #parsedAttributes;
+    /**
+     * @private
+     * @type {Map.<string, AttributeTokenList>}
+     */
+    #tokenLists;
+    /**
+     * @private
+     * @type {?ElementInternals}
+     */
+    #internals = null;
+    /**
+     * Whether the ElementInternals the mixin attached have been returned by attachInternals().
+     *
+     * @private
+     * @type {boolean}
+     */
+    #internalsClaimed = false;
+    /**
+     * The name of the non-reflecting IDL Attribute whose change is being passed to the attributeChangedCallback lifecycle callback.
+     *
+     * @private
+     * @type {?string}
+     */
+    #notifyingIdlAttributeName = null;
+    /**
+     * The validity of the element when it does not have ElementInternals.
+     *
+     * @private
+     * @type {?ValidityState}
+     */
+    #validity = null;
+    /**
+     * @private
+     * @type {string}
+     */
+    #validationMessage = '';
+    /**
+     * The old values of the attributes that have changed since the last update (see static batchedUpdates).
+     *
+     * @private
+     * @type {Map.<string, *>}
+     */
+    #changedAttributes = new Map();
+    /**
+     * @private
+     * @type {Promise.<void>}
+     */
+    #updateComplete = Promise.resolve();
+    /**
+     * Re-forwards attributes when the content of the shadow root changes (see #forwardAttributes).
+     *
+     * @private
+     * @type {?MutationObserver}
+     */
+    #shadowRootObserver = null;
+    /**
+     * The idlNames of the attributes whose values were set before their proxyTarget was available (see #getProxyTarget).
+     *
+     * @private
+     * @type {Set.<string>}
+     */
+    #bufferedProxyAttributeNames = new Set();
+    /**
+     * Warns about attributes that are set on the element but not configured (development mode only, see attributesMixin.devMode).
+     *
+     * @private
+     * @type {?MutationObserver}
+     */
+    #unknownAttributeObserver = null;
+    /**
+     * The old unparsed values of the attributes changed by setAttributeState(), keyed by attribute config, which are
+     * notified with a single updated() call instead, or null if setAttributeState() is not being called.
+     *
+     * @private
+     * @type {?Map.<AttributeConfig, *>}
+     */
+    #stateChangedAttributes = null;
+    /**
+     * The Content Attributes the attributeChangedCallback of the mixin has been called for since the devMode observer
+     * last ran, so that it can warn if a sub class does not call super (development mode only, see #warnUnhandledAttributes).
+     *
+     * @private
+     * @type {Set.<string>}
+     */
+    #handledAttributeNames = new Set();
+    /**
+     * Whether the persisted attributes have been restored (see #restoreAttributes). Until then, they are not persisted.
+     *
+     * @private
+     * @type {boolean}
+     */
+    #attributesRestored = false;
+    /**
+     * Whether the attributes with a urlParam are in sync with the URL, which is the case while the element is connected
+     * (and not reading the URL, see #readUrlParams). Only then are changes written to the URL.
+     *
+     * @private
+     * @type {boolean}
+     */
+    #urlParamsSynced = false;
+    /**
+     * Reads the URL parameters again when the user navigates the history (see #readUrlParams).
+     *
+     * @private
+     * @type {function(): void}
+     */
+    #popStateListener = () => this.#readUrlParams({ missingAsDefault: true });
+    /**
+     * Mix IDL Attribute getter setters into the prototype of the sub class (if this has not already happened at define time).
+     *
+     * Define a private idlAttributes Map for each instance of the sub class for storing and retrieving values of non-reflecting IDL Attributes.
+     *
+     * Define a static readonly observedAttributes getter with an array of content attribute names, derived from the static attributes property of the sub class.
+     *
+     * Upgrade any IDL Attributes that were set on the element before it was upgraded (see #upgradeProperties).
+     *
+     * Attach ElementInternals if the sub class is form associated (static formAssociated = true) or has attributes that
+     * reflect to ARIA properties or custom states (unless the element is a customized built-in element or the sub class disables
+     * internals), and set their initial form value, validity, ARIA properties and custom states. The sub class can get
+     * them with attachInternals() or the elementInternals getter.
+     *
+     * Forward attributes to the elements in the shadow root of the element (if it has one).
+     */
+    constructor() {
+      super();
+      this.#idlAttributes = new Map(); // For IDL Attributes that do not reflect to Content Attributes.
+      this.#parsedAttributes = new Map(); // For caching the parsed values of json and array type IDL Attributes.
+      this.#tokenLists = new Map(); // For the live token lists of tokens type IDL Attributes.
+      Mixin.#setupAttributes(this.constructor);
+      if ((this.constructor.formAssociated || Mixin.#attributeConfigs.get(this.constructor).some(({ aria, state }) => aria || state))
+        && typeof super.attachInternals === 'function'
+        && this.localName.includes('-') // Only autonomous custom elements can attach ElementInternals, not customized built-in elements (i.e. <button is="fancy-button">).
+        && !this.constructor.disabledFeatures?.includes('internals')) {
+        this.#internals = super.attachInternals();
+      }
+      const upgradedAttributeNames = attributesMixin.devMode ? this.getAttributeNames() : []; // Set before the element was upgraded, so the observer does not see them.
+
+      if (attributesMixin.devMode) {
+        this.#unknownAttributeObserver = new MutationObserver((mutationRecords) => {
+          const attributeNames = mutationRecords.map(({ attributeName }) => attributeName);
+
+          this.#warnUnknownAttributes(attributeNames);
+          this.#warnUnhandledAttributes(attributeNames);
+        });
+        this.#unknownAttributeObserver.observe(this, { attributes: true });
+      }
+      if (this.#internals || attributesMixin.devMode || Mixin.#attributeConfigs.get(this.constructor).some((attributeConfig) => {
+        return hasConstraints(attributeConfig) || attributeConfig.aria || attributeConfig.state || attributeConfig.forwardTo || attributeConfig.proxyTarget || attributeConfig.dependsOn || (attributeConfig.idlName && Object.hasOwn(this, attributeConfig.idlName));
+      })) {
+        // Wait for the sub class constructor to finish (and initialise its fields, such as proxyTargets) before calling the getters and setters.
+        queueMicrotask(() => {
+          this.#flushProxyAttributes(Mixin.#attributeConfigs.get(this.constructor));
+          if (this.#unknownAttributeObserver) {
+            this.#warnUnknownAttributes(upgradedAttributeNames);
+          }
+          this.#upgradeProperties();
+          this.#updateFormValue();
+          this.#updateValidity();
+          Mixin.#attributeConfigs.get(this.constructor).forEach((attributeConfig) => {
+            this.#updateAriaAndState(attributeConfig);
+          });
+          this.#forwardAttributes(Mixin.#attributeConfigs.get(this.constructor));
+          Mixin.#attributeConfigs.get(this.constructor).filter(({ idlName, dependsOn }) => {
+            return dependsOn && !this.#idlAttributes.has(idlName);
+          }).forEach((attributeConfig) => {
+            this.#idlAttributes.set(attributeConfig.idlName, this.#getIdlAttribute(attributeConfig)); // The old value of the first change.
+          });
+        });
+      }
+    }
+    /**
+     * Returns an array of content attributes (including their aliases) that will invoke the attributeChangedCallback lifecycle callback.
+     *
+     * This getter is read by customElements.define(), so it is also where the attribute configs
+     * are validated and the IDL Attribute getter setters are mixed into the prototype of the sub class.
+     *
+     * @static
+     * @type {string[]}
+     * @throws Will throw an error if any of the attribute configs are invalid.
+     */
+    static get observedAttributes() {
+      // Inside static methods, "this" refers to the constructor.
+      Mixin.#setupAttributes(this);
+
+      return Mixin.#attributeConfigs.get(this).filter(({ contentName }) => {
+        return contentName;
+      }).flatMap((attributeConfig) => {
+        return [attributeConfig.contentName, ...getContentAliases(attributeConfig)];
+      });
+    }
+    /**
+     * Returns normalized metadata about the attributes of the sub class (including those of the classes it extends),
+     * for tooling such as documentation, Storybook controls and Custom Elements Manifest generation.
+     *
+     * @static
+     * @returns {AttributeDescription[]}
+     * @throws Will throw an error if any of the attribute configs are invalid.
+     */
+    static describeAttributes() {
+      Mixin.#setupAttributes(this);
+
+      return Mixin.#attributeConfigs.get(this).map((attributeConfig) => {
+        const {
+          idlName: idlAttributeName,
+          contentName: contentAttributeName,
+          proxyTarget,
+          proxyKey,
+          type: attributeType,
+          defaultValue,
+          readonly,
+          values,
+          fromAttribute,
+          toAttribute,
+          event,
+          compute,
+          deprecated
+        } = attributeConfig;
+
+        return {
+          idlName: idlAttributeName ?? null,
+          contentName: contentAttributeName ?? null,
+          type: attributeType ?? null,
+          defaultValue: defaultValue ?? null,
+          readonly: Boolean(readonly || compute),
+          reflects: Boolean(idlAttributeName && contentAttributeName),
+          proxy: proxyTarget ? { target: typeof proxyTarget === 'string' ? proxyTarget : null, key: proxyKey ?? idlAttributeName } : null,
+          computed: Boolean(compute),
+          converted: Boolean(fromAttribute || toAttribute),
+          values: attributeType === 'enum' ? [...values] : null,
+          event: event === true ? `${idlAttributeName ?? contentAttributeName}-changed` : event || null,
+          contentAliases: getContentAliases(attributeConfig),
+          idlAliases: getIdlAliases(attributeConfig),
+          deprecated: deprecated ?? null
+        };
+      });
+    }
+    /**
+     * The ElementInternals of the element, whether the mixin attached them or the sub class did (see attachInternals()),
+     * or null if neither did. For sub classes only, i.e. to set the role of the element or another ARIA property.
+     *
+     * @protected
+     * @readonly
+     * @type {?ElementInternals}
+     */
+    get elementInternals() {
+      return this.#internals;
+    }
+    /**
+     * Returns the ElementInternals the mixin attached (see the constructor) the first time it is called, so sub classes
+     * can call attachInternals() as usual. Otherwise it attaches them, and the mixin uses them as well (i.e. for constraint
+     * validation and closed shadow roots).
+     *
+     * @returns {ElementInternals}
+     * @throws Will throw a NotSupportedError DOMException if ElementInternals have already been returned (like HTMLElement.attachInternals()).
+     */
+    attachInternals() {
+      if (this.#internals && !this.#internalsClaimed) {
+        this.#internalsClaimed = true;
+
+        return this.#internals;
+      }
+
+      this.#internals = super.attachInternals();
+      this.#internalsClaimed = true;
+
+      return this.#internals;
+    }
+    /**
+     * A promise that resolves once the pending update (see static batchedUpdates) has finished, including
+     * any updates caused by changes made in the updated() hook. Resolves immediately if no update is pending.
+     *
+     * @readonly
+     * @type {Promise.<void>}
+     */
+    get updateComplete() {
+      return this.#updateComplete;
+    }
+    /**
+     * Called once per microtask with the attributes that have changed, if the sub class opts in to batched updates
+     * (static batchedUpdates = true), and once per setAttributeState() call. Override it to render the element once for several changes.
+     *
+     * The attributeChangedCallback lifecycle callback is still called synchronously for every change.
+     *
+     * @param {Map.<string, *>} _changedAttributes - The value of each attribute before the first of its changes, keyed by idlName (or contentName).
+     * @returns {void}
+     */
+    updated(_changedAttributes) {}
+    /**
+     * Returns the values of all the IDL Attributes of the element (including readonly and computed ones), as returned by
+     * their getters (but the value of the token list for tokens type attributes), keyed by idlName.
+     *
+     * @returns {Object.<string, *>}
+     */
+    getAttributeState() {
+      return Object.fromEntries(Mixin.#attributeConfigs.get(this.constructor).filter(({ idlName }) => {
+        return idlName;
+      }).map((attributeConfig) => {
+        return [attributeConfig.idlName, this.#getTypedValue(attributeConfig, this.#getIdlAttribute(attributeConfig))];
+      }));
+    }
+    /**
+     * Sets the IDL Attributes of the element to the values of an object keyed by idlName (such as one returned by
+     * getAttributeState()), with a single notification: once all the values are set, the updated() hook is called once,
+     * synchronously, with the attributes that have changed (whether or not the sub class opts in to batched updates).
+     *
+     * Change handlers, change events and the attributeChangedCallback lifecycle callback of non-reflecting attributes are
+     * not called for these changes. The browser still calls the attributeChangedCallback lifecycle callback of reflecting
+     * attributes as each Content Attribute is set, before the later values are. Readonly, computed and unknown attributes are ignored.
+     *
+     * @param {Object.<string, *>} state
+     * @returns {void}
+     */
+    setAttributeState(state) {
+      const attributeConfigs = Mixin.#attributeConfigs.get(this.constructor);
+      const changedAttributes = new Map();
+      const stateChangedAttributes = this.#stateChangedAttributes;
+
+      this.#stateChangedAttributes = changedAttributes;
+      try {
+        Object.entries(state).filter(([idlAttributeName]) => {
+          return attributeConfigs.some(({ idlName, readonly, compute }) => idlName === idlAttributeName && !readonly && !compute);
+        }).forEach(([idlAttributeName, value]) => {
+          this[idlAttributeName] = value;
+        });
+      } finally {
+        this.#stateChangedAttributes = stateChangedAttributes;
+      }
+
+      const updatedAttributes = new Map([...changedAttributes].filter(([attributeConfig, oldValue]) => {
+        return this.#hasChanged(attributeConfig, this.#getIdlAttribute(attributeConfig), oldValue); // Not if it changed back, i.e. a computed attribute.
+      }).map(([attributeConfig, oldValue]) => {
+        return [attributeConfig.idlName ?? attributeConfig.contentName, this.#getTypedValue(attributeConfig, oldValue)];
+      }));
+
+      if (updatedAttributes.size) {
+        this.updated(updatedAttributes);
+      }
+    }
+    /**
+     * Returns the values of all the IDL Attributes of the element (see getAttributeState()), so that JSON.stringify() serializes them.
+     *
+     * @returns {Object.<string, *>}
+     */
+    toJSON() {
+      return this.getAttributeState();
+    }
+    /**
+     * Keeps the form value (and everything else the mixin derives from attributes) in sync when a Content Attribute changes.
+     *
+     * If the sub class defines its own attributeChangedCallback lifecycle callback, it must call
+     * super.attributeChangedCallback(attributeName, oldValue, newValue) for this to happen.
+     *
+     * @param {string} attributeName
+     * @param {?string} oldValue
+     * @param {?string} newValue
+     * @returns {void}
+     */
+    attributeChangedCallback(attributeName, oldValue, newValue) {
+      if (this.#unknownAttributeObserver) {
+        this.#handledAttributeNames.add(attributeName);
+      }
+      if (attributeName === this.#notifyingIdlAttributeName) {
+        return; // A non-reflecting IDL Attribute, which #setIdlAttribute() has already handled.
+      }
+
+      const attributeConfig = Mixin.#attributeConfigs.get(this.constructor).find(({ contentName }) => {
+        return contentName === attributeName;
+      });
+      const aliasedAttributeConfig = !attributeConfig && Mixin.#attributeConfigs.get(this.constructor).find((attributeConfigWithAliases) => {
+        return getContentAliases(attributeConfigWithAliases).includes(attributeName);
+      });
+
+      if (aliasedAttributeConfig) {
+        const canonicalValue = this.getAttribute(aliasedAttributeConfig.contentName);
+
+        Mixin.#warnOnce(this.constructor, `The "${attributeName}" attribute is deprecated. Use "${aliasedAttributeConfig.contentName}" instead.`);
+        // Route the alias to the Content Attribute it is an alias of (which calls this lifecycle callback again), unless that is set
+        // to something else than the alias was, so that the alias does not override it. Removing the alias does not remove it.
+        if (newValue !== null && (canonicalValue === null || canonicalValue === oldValue)) {
+          this.setAttribute(aliasedAttributeConfig.contentName, newValue);
+        }
+
+        return;
+      }
+
+      if (attributeConfig && this.#attributeChanged(attributeConfig, oldValue, newValue)) {
+        this.#updateComputedAttributes(attributeConfig);
+      }
+    }
+    /**
+     * Upgrades the IDL Attributes that were set on the element before it was upgraded (see #upgradeProperties), because
+     * the browser calls this lifecycle callback before the constructor's microtask when it upgrades a connected element.
+     *
+     * Then restores the persisted attributes of the element (see the persist property of AttributeConfig) the first time it is connected,
+     * and sets the attributes with a urlParam to the parameters in the URL and keeps them in sync with it while the element is connected.
+     * Finally forwards the attributes with forwardTo to the shadow root, now and in a microtask (once the sub class has rendered it).
+     *
+     * If the sub class defines its own connectedCallback lifecycle callback, it must call super.connectedCallback().
+     *
+     * @returns {void}
+     */
+    connectedCallback() {
+      const attributeConfigs = Mixin.#attributeConfigs.get(this.constructor);
+
+      this.#upgradeProperties();
+      if (!this.#attributesRestored) {
+        this.#restoreAttributes();
+        this.#attributesRestored = true;
+      }
+      if (attributeConfigs.some(({ urlParam }) => urlParam)) {
+        this.#readUrlParams({ missingAsDefault: false });
+        window.addEventListener('popstate', this.#popStateListener);
+      }
+      if (attributeConfigs.some(({ forwardTo }) => forwardTo)) {
+        // The sub class may create (or render) its shadow root after calling super.connectedCallback(), so forward again once it has.
+        this.#forwardAttributes(attributeConfigs);
+        queueMicrotask(() => this.#forwardAttributes(attributeConfigs));
+      }
+    }
+    /**
+     * Stops keeping the attributes with a urlParam in sync with the URL.
+     *
+     * If the sub class defines its own disconnectedCallback lifecycle callback, it must call super.disconnectedCallback().
+     *
+     * @returns {void}
+     */
+    disconnectedCallback() {
+      this.#urlParamsSynced = false;
+      window.removeEventListener('popstate', this.#popStateListener);
+    }
+    /**
+     * Resets the formValue attribute to its defaultValue when the form it is associated with is reset.
+     *
+     * If the sub class defines its own formResetCallback lifecycle callback, it must call super.formResetCallback().
+     *
+     * @returns {void}
+     */
+    formResetCallback() {
+      const attributeConfig = this.#getFormValueAttributeConfig();
+
+      if (!attributeConfig) {
+        return;
+      }
+
+      if (attributeConfig.contentName) {
+        this.removeAttribute(attributeConfig.contentName); // So the IDL Attribute returns the defaultValue.
+
+        return;
+      }
+
+      this[attributeConfig.idlName] = attributeConfig.defaultValue;
+    }
+    /**
+     * Restores the formValue attribute when the browser restores the state of the form it is associated with
+     * (i.e. after navigating back to the page).
+     *
+     * If the sub class defines its own formStateRestoreCallback lifecycle callback, it must call super.formStateRestoreCallback(state, mode).
+     *
+     * @param {?(string|File|FormData)} state
+     * @param {string} _mode
+     * @returns {void}
+     */
+    formStateRestoreCallback(state, _mode) {
+      const attributeConfig = this.#getFormValueAttributeConfig();
+
+      if (!attributeConfig) {
+        return;
+      }
+
+      this.#setIdlAttribute(attributeConfig, state, state);
+    }
+    /**
+     * Called whenever the value of an attribute changes, through either its IDL Attribute or its Content Attribute.
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig} attributeConfig
+     * @param {*} oldValue - The old unparsed value (see #getIdlAttribute).
+     * @param {*} newValue - The new unparsed value.
+     * @returns {boolean} Whether the attribute has changed (see #hasChanged) and the change was notified (or deferred by setAttributeState()).
+     */
+    #attributeChanged(attributeConfig, oldValue, newValue) {
+      const { idlName: idlAttributeName, contentName: contentAttributeName, formValue, deprecated } = attributeConfig;
+      const name = idlAttributeName ?? contentAttributeName;
+
+      if (deprecated) {
+        Mixin.#warnOnce(this.constructor, `The "${name}" attribute is deprecated. ${deprecated}`);
+      }
+      if (attributesMixin.devMode) {
+        this.#warnParseFailure(attributeConfig, newValue);
+      }
+      if (formValue) {
+        this.#updateFormValue();
+      }
+      this.#updateValidity(); // Every attribute, because a validate function may depend on other attributes.
+      this.#updateAriaAndState(attributeConfig);
+      this.#forwardAttributes([attributeConfig]);
+
+      if (!this.#hasChanged(attributeConfig, newValue, oldValue)) {
+        return false;
+      }
+      if (attributeConfig.persist && this.#attributesRestored) {
+        this.#persistAttribute(attributeConfig, newValue);
+      }
+      if (attributeConfig.urlParam && this.#urlParamsSynced) {
+        this.#writeUrlParam(attributeConfig, newValue);
+      }
+      if (this.#stateChangedAttributes) {
+        if (!this.#stateChangedAttributes.has(attributeConfig)) {
+          this.#stateChangedAttributes.set(attributeConfig, oldValue); // Notified by setAttributeState().
+        }
+
+        return true;
+      }
+      this.#notifyChange(attributeConfig, oldValue, newValue);
+
+      return true;
+    }
+    /**
+     * Notify the change of an attribute through its change handler and change event and, if the sub class opts in to
+     * batched updates, the updated() hook.
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig} attributeConfig
+     * @param {*} oldValue - The old unparsed value.
+     * @param {*} newValue - The new unparsed value.
+     * @returns {void}
+     */
+    #notifyChange(attributeConfig, oldValue, newValue) {
+      const { idlName: idlAttributeName, contentName: contentAttributeName, changed, event } = attributeConfig;
+      const name = idlAttributeName ?? contentAttributeName;
+
+      if (!changed && !event && !this.constructor.batchedUpdates) {
+        return;
+      }
+
+      const typedOldValue = this.#getTypedValue(attributeConfig, oldValue);
+      const typedNewValue = this.#getTypedValue(attributeConfig, newValue);
+
+      if (changed) {
+        this.#callChangeHandler(attributeConfig, typedNewValue, typedOldValue);
+      }
+      if (event) {
+        this.dispatchEvent(new CustomEvent(event === true ? `${name}-changed` : event, {
+          bubbles: true,
+          composed: true,
+          detail: { name, oldValue: typedOldValue, newValue: typedNewValue }
+        }));
+      }
+      if (this.constructor.batchedUpdates) {
+        this.#requestUpdate(name, typedOldValue);
+      }
+    }
+    /**
+     * Whether the value of an attribute has changed. Uses the hasChanged function of the attribute config (called with
+     * the typed values, see #getTypedValue) if it has one, otherwise compares the unparsed values with Object.is().
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig} attributeConfig
+     * @param {*} newValue - The new unparsed value.
+     * @param {*} oldValue - The old unparsed value.
+     * @returns {boolean}
+     */
+    #hasChanged(attributeConfig, newValue, oldValue) {
+      if (attributeConfig.hasChanged) {
+        return Boolean(attributeConfig.hasChanged.call(this, this.#getTypedValue(attributeConfig, newValue), this.#getTypedValue(attributeConfig, oldValue)));
+      }
+
+      return !Object.is(newValue, oldValue);
+    }
+    /**
+     * Convert an unparsed value to the value passed to change handlers and the updated() hook: the value returned by
+     * the IDL Attribute getter (see #convertValue) or, for attributes without an idlName, the Content Attribute value.
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig} attributeConfig
+     * @param {*} rawValue
+     * @returns {*}
+     */
+    #getTypedValue(attributeConfig, rawValue) {
+      return attributeConfig.idlName ? this.#convertValue(attributeConfig, rawValue) : rawValue;
+    }
+    /**
+     * Call the changed handler of an attribute config, which is either a function or the name of a method of the element.
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig}
+     * @param {*} newValue
+     * @param {*} oldValue
+     * @throws Will throw an error if the changed handler is the name of a method that the element does not have.
+     * @returns {void}
+     */
+    #callChangeHandler({ idlName: idlAttributeName, contentName: contentAttributeName, changed }, newValue, oldValue) {
+      const changeHandler = typeof changed === 'function' ? changed : this[changed];
+
+      if (typeof changeHandler !== 'function') {
+        throw new Error(`${this.constructor.name}: The changed handler "${changed}" of "${idlAttributeName ?? contentAttributeName}" is not a method of the element.`);
+      }
+
+      changeHandler.call(this, newValue, oldValue);
+    }
+    /**
+     * Record the old value of a changed attribute and, if an update is not already pending, schedule
+     * one for the next microtask, so that several changes result in a single call to updated().
+     *
+     * @private
+     * @method
+     * @param {string} name - The idlName (or contentName) of the attribute.
+     * @param {*} oldValue
+     * @returns {void}
+     */
+    #requestUpdate(name, oldValue) {
+      if (this.#changedAttributes.has(name)) {
+        return; // Keep the value from before the first change.
+      }
+
+      const updatePending = this.#changedAttributes.size > 0;
+
+      this.#changedAttributes.set(name, oldValue);
+
+      if (!updatePending) {
+        this.#updateComplete = Promise.resolve().then(() => this.#update());
+      }
+    }
+    /**
+     * Pass the changed attributes to the updated() hook.
+     *
+     * @private
+     * @method
+     * @returns {Promise.<void>|void} The next update, if updated() changed any attributes.
+     */
+    #update() {
+      const changedAttributes = this.#changedAttributes;
+
+      this.#changedAttributes = new Map();
+      this.updated(changedAttributes);
+
+      return this.#changedAttributes.size ? this.#updateComplete : undefined;
+    }
+    /**
+     * Reflect the value of an attribute to its ARIA property and custom state (if it has them).
+     *
+     * The ARIA property of ElementInternals is set to the value of the IDL Attribute as a string (or null if
+     * it is null or undefined). Without ElementInternals, the ARIA Content Attribute of the element is set instead.
+     *
+     * The custom state is added to the CustomStateSet of ElementInternals (enabling the :state() pseudo class)
+     * when the IDL Attribute is not empty (see isEmptyValue) and deleted when it is.
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig}
+     * @returns {void}
+     */
+    #updateAriaAndState({ idlName: idlAttributeName, aria, state }) {
+      if (!aria && !state) {
+        return;
+      }
+
+      const value = this[idlAttributeName];
+
+      if (aria) {
+        const ariaValue = value === null || value === undefined ? null : String(value);
+
+        if (this.#internals) {
+          this.#internals[aria] = ariaValue;
+        } else {
+          const ariaAttributeName = aria.replace(/[A-Z]/g, (character) => `-${character.toLowerCase()}`);
+
+          if (ariaValue === null) {
+            this.removeAttribute(ariaAttributeName);
+          } else {
+            this.setAttribute(ariaAttributeName, ariaValue);
+          }
+        }
+      }
+
+      if (state && this.#internals?.states) {
+        if (isEmptyValue(value)) {
+          this.#internals.states.delete(state);
+        } else {
+          this.#internals.states.add(state);
+        }
+      }
+    }
+    /**
+     * Returns the Web Storage key of a persisted attribute: the prefix, the local name and id (if any) of the element and the
+     * idlName (or contentName) of the attribute, i.e. "my-app:collapsible-panel#filters:open".
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig}
+     * @returns {string}
+     */
+    #getPersistKey({ idlName: idlAttributeName, contentName: contentAttributeName, persist }) {
+      return `${getPersistOptions(persist).prefix}${this.localName}${this.id ? `#${this.id}` : ''}:${idlAttributeName ?? contentAttributeName}`;
+    }
+    /**
+     * Write the unparsed value of a persisted attribute to Web Storage, as JSON. Null and undefined values are written as null (so
+     * that the attribute is removed when it is restored, even if it is in the HTML of the element). Storage errors (i.e. when
+     * storage is disabled or full) are logged as warnings.
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig} attributeConfig
+     * @param {*} rawValue
+     * @returns {void}
+     */
+    #persistAttribute(attributeConfig, rawValue) {
+      const { storage } = getPersistOptions(attributeConfig.persist);
+
+      try {
+        const webStorage = storage === 'session' ? window.sessionStorage : window.localStorage;
+
+        webStorage.setItem(this.#getPersistKey(attributeConfig), JSON.stringify(rawValue ?? null));
+      } catch (error) {
+        Mixin.#warnOnce(this.constructor, `The "${attributeConfig.idlName ?? attributeConfig.contentName}" attribute could not be persisted to ${storage}Storage (${error.message}).`);
+      }
+    }
+    /**
+     * Set the persisted attributes to the values stored in Web Storage (see #persistAttribute), or remove them if the stored
+     * value is null. Attributes without a stored value keep their value. Storage and parse errors are logged as warnings.
+     *
+     * @private
+     * @method
+     * @returns {void}
+     */
+    #restoreAttributes() {
+      Mixin.#attributeConfigs.get(this.constructor).filter(({ persist }) => persist).forEach((attributeConfig) => {
+        const { idlName: idlAttributeName, contentName: contentAttributeName, persist } = attributeConfig;
+        const { storage } = getPersistOptions(persist);
+        let rawValue;
+
+        try {
+          const storedValue = (storage === 'session' ? window.sessionStorage : window.localStorage).getItem(this.#getPersistKey(attributeConfig));
+
+          if (storedValue === null) {
+            return;
+          }
+
+          rawValue = JSON.parse(storedValue);
+        } catch (error) {
+          Mixin.#warnOnce(this.constructor, `The "${idlAttributeName ?? contentAttributeName}" attribute could not be restored from ${storage}Storage (${error.message}).`);
+
+          return;
+        }
+
+        if (idlAttributeName) {
+          this.#setIdlAttribute(attributeConfig, rawValue, rawValue === null ? null : String(rawValue));
+        } else if (rawValue === null) {
+          this.removeAttribute(contentAttributeName);
+        } else {
+          this.setAttribute(contentAttributeName, String(rawValue));
+        }
+      });
+    }
+    /**
+     * Write the unparsed value of an attribute to its URL parameter with history.replaceState() (or pushState()). The parameter
+     * is removed if the value is null, undefined or false and it is empty if the value is true (boolean attributes).
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig} attributeConfig
+     * @param {*} rawValue
+     * @returns {void}
+     */
+    #writeUrlParam(attributeConfig, rawValue) {
+      const { name, location: urlLocation, history: historyMode } = getUrlParamOptions(attributeConfig.urlParam);
+      const url = new URL(window.location.href);
+      const searchParams = getUrlSearchParams(url, urlLocation);
+
+      if (rawValue === null || rawValue === undefined || rawValue === false) {
+        searchParams.delete(name);
+      } else {
+        searchParams.set(name, rawValue === true ? '' : String(rawValue));
+      }
+
+      if (urlLocation === 'hash') {
+        url.hash = searchParams.toString();
+      } else {
+        url.search = searchParams.toString();
+      }
+
+      if (url.href !== window.location.href) {
+        window.history[historyMode === 'push' ? 'pushState' : 'replaceState'](window.history.state, '', url.href);
+      }
+    }
+    /**
+     * Set the attributes with a urlParam to the parameters in the URL. The values are converted like Content Attribute
+     * values (a boolean attribute is true if its parameter is present). Changes are not written back to the URL meanwhile.
+     *
+     * @private
+     * @method
+     * @param {Object} options
+     * @param {boolean} options.missingAsDefault - Whether to reset the attributes whose parameter is missing (on popstate) or to keep their value (on connect).
+     * @returns {void}
+     */
+    #readUrlParams({ missingAsDefault }) {
+      this.#urlParamsSynced = false;
+      try {
+        Mixin.#attributeConfigs.get(this.constructor).filter(({ urlParam }) => urlParam).forEach((attributeConfig) => {
+          const { idlName: idlAttributeName, contentName: contentAttributeName, type: attributeType, urlParam } = attributeConfig;
+          const { name, location: urlLocation } = getUrlParamOptions(urlParam);
+          const value = getUrlSearchParams(window.location, urlLocation).get(name);
+
+          if (value === null && !missingAsDefault) {
+            return;
+          }
+
+          if (!idlAttributeName) {
+            if (value === null) {
+              this.removeAttribute(contentAttributeName);
+            } else {
+              this.setAttribute(contentAttributeName, value);
+            }
+          } else if (value === null) {
+            this.#setIdlAttribute(attributeConfig, contentAttributeName ? null : undefined, null); // So the IDL Attribute returns the defaultValue.
+          } else if (attributeType === 'boolean' && !contentAttributeName) {
+            this.#setIdlAttribute(attributeConfig, true, '');
+          } else {
+            this.#setIdlAttribute(attributeConfig, value, value);
+          }
+        });
+      } finally {
+        this.#urlParamsSynced = this.isConnected;
+      }
+    }
+    /**
+     * Warn about attributes that are set on the element but are neither configured (by contentName or alias)
+     * nor global attributes (development mode only, see attributesMixin.devMode).
+     *
+     * @private
+     * @method
+     * @param {string[]} attributeNames
+     * @returns {void}
+     */
+    #warnUnknownAttributes(attributeNames) {
+      const attributeConfigs = Mixin.#attributeConfigs.get(this.constructor);
+
+      [...new Set(attributeNames)].filter((attributeName) => {
+        return this.hasAttribute(attributeName)
+          && !GLOBAL_ATTRIBUTES.includes(attributeName)
+          && !/^(aria-|data-|on)/.test(attributeName)
+          && !attributeConfigs.some((attributeConfig) => {
+            return attributeConfig.contentName === attributeName || getContentAliases(attributeConfig).includes(attributeName);
+          });
+      }).forEach((attributeName) => {
+        Mixin.#warn(this.constructor, `The "${attributeName}" attribute is set, but it is not configured in the static attributes array.`);
+      });
+    }
+    /**
+     * Warn if observed attributes have changed without the attributeChangedCallback of the mixin being called, which
+     * happens when the sub class overrides it without calling super (development mode only, see attributesMixin.devMode).
+     *
+     * @private
+     * @method
+     * @param {string[]} attributeNames - The attributes that have changed since the devMode observer last ran.
+     * @returns {void}
+     */
+    #warnUnhandledAttributes(attributeNames) {
+      const handledAttributeNames = this.#handledAttributeNames;
+
+      this.#handledAttributeNames = new Set();
+      if (attributeNames.some((attributeName) => this.constructor.observedAttributes.includes(attributeName) && !handledAttributeNames.has(attributeName))) {
+        Mixin.#warnOnce(this.constructor, 'The attributeChangedCallback lifecycle callback does not call super.attributeChangedCallback(attributeName, oldValue, newValue), so changes to Content Attributes do not reach change handlers, change events, forwardTo, persist or urlParam.');
+      }
+    }
+    /**
+     * Warn if the new value of an attribute cannot be parsed by its type (development mode only, see attributesMixin.devMode).
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig} attributeConfig
+     * @param {*} value - The new unparsed value.
+     * @returns {void}
+     */
+    #warnParseFailure(attributeConfig, value) {
+      const parseFailure = getParseFailure(value, attributeConfig);
+
+      if (parseFailure) {
+        Mixin.#warn(this.constructor, `The value "${value}" of "${attributeConfig.idlName ?? attributeConfig.contentName}" ${parseFailure}.`);
+      }
+    }
+    /**
+     * Returns true if an IDL Attribute is readonly (or computed), so that setting it must be ignored,
+     * and warns about the ignored set in development mode (see attributesMixin.devMode).
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig}
+     * @returns {boolean}
+     */
+    #ignoreReadonlySet({ idlName: idlAttributeName, readonly, compute }) {
+      if (!readonly && !compute) {
+        return false;
+      }
+
+      if (attributesMixin.devMode) {
+        Mixin.#warn(this.constructor, `The "${idlAttributeName}" attribute is readonly, so setting it has no effect.`);
+      }
+
+      return true;
+    }
+    /**
+     * Mirror the Content Attributes of the element onto the elements in its shadow root that match
+     * their forwardTo selectors, removing them from those elements when they are removed from the element.
+     *
+     * The first time the element has a shadow root, start observing it (see #observeShadowRoot).
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig[]} attributeConfigs
+     * @returns {void}
+     */
+    #forwardAttributes(attributeConfigs) {
+      const forwardedAttributeConfigs = attributeConfigs.filter(({ forwardTo }) => forwardTo);
+      const shadowRoot = this.#internals?.shadowRoot ?? this.shadowRoot; // ElementInternals give access to closed shadow roots.
+
+      if (!forwardedAttributeConfigs.length || !shadowRoot) {
+        return;
+      }
+
+      this.#observeShadowRoot();
+      forwardedAttributeConfigs.forEach(({ contentName: contentAttributeName, forwardTo }) => {
+        const value = this.getAttribute(contentAttributeName);
+
+        shadowRoot.querySelectorAll(getForwardToSelector(forwardTo)).forEach((element) => {
+          if (value === null) {
+            element.removeAttribute(contentAttributeName);
+          } else if (element.getAttribute(contentAttributeName) !== value) {
+            element.setAttribute(contentAttributeName, value);
+          }
+        });
+      });
+    }
+    /**
+     * Start observing the shadow root of the element (if it has one), so that attributes are forwarded again and
+     * buffered proxyTarget values are flushed whenever its content is (re-)rendered.
+     *
+     * @private
+     * @method
+     * @returns {void}
+     */
+    #observeShadowRoot() {
+      const shadowRoot = this.#internals?.shadowRoot ?? this.shadowRoot;
+
+      if (this.#shadowRootObserver || !shadowRoot) {
+        return;
+      }
+
+      this.#shadowRootObserver = new MutationObserver(() => {
+        const attributeConfigs = Mixin.#attributeConfigs.get(this.constructor);
+
+        this.#flushProxyAttributes(attributeConfigs);
+        this.#forwardAttributes(attributeConfigs);
+      });
+      this.#shadowRootObserver.observe(shadowRoot, { childList: true, subtree: true });
+    }
+    /**
+     * Check the value of every attribute with constraints and update the validity of the element.
+     *
+     * The validity is reported to ElementInternals (if the element is form associated), so that the element takes part in the
+     * constraint validation of its form and matches the :invalid pseudo class, and is otherwise stored for the validity getter.
+     *
+     * @private
+     * @method
+     * @returns {void}
+     */
+    #updateValidity() {
+      const constrainedAttributeConfigs = Mixin.#attributeConfigs.get(this.constructor).filter(hasConstraints);
+
+      if (!constrainedAttributeConfigs.length) {
+        return;
+      }
+
+      const violations = constrainedAttributeConfigs.flatMap((attributeConfig) => {
+        return getConstraintViolations(this[attributeConfig.idlName], attributeConfig, this);
+      });
+      const flags = Object.fromEntries(violations.map(({ flag }) => [flag, true]));
+
+      this.#validity = Object.freeze({ ...VALIDITY_FLAGS, ...flags, valid: !violations.length });
+      this.#validationMessage = violations[0]?.message ?? '';
+      this.#validityInternals?.setValidity(flags, this.#validationMessage);
+    }
+    /**
+     * The ElementInternals of the element if it is form associated, or null. The constraint validation members of
+     * ElementInternals throw a NotSupportedError for elements that are not, which can still have ElementInternals
+     * (i.e. for their aria or state attributes).
+     *
+     * @private
+     * @type {?ElementInternals}
+     */
+    get #validityInternals() {
+      return this.constructor.formAssociated ? this.#internals : null;
+    }
+    /**
+     * @private
+     * @method
+     * @returns {AttributeConfig|undefined}
+     */
+    #getFormValueAttributeConfig() {
+      return Mixin.#attributeConfigs.get(this.constructor).find(({ formValue }) => formValue);
+    }
+    /**
+     * Set the form value of a form associated element to the value of its formValue attribute.
+     *
+     * Missing and false values are not submitted, true is submitted as "on" (like a checkbox), Files
+     * and FormData are submitted as is, other objects (such as the values of json or tokens type attributes)
+     * are submitted as their unparsed value (if it is a string) and everything else is converted to a string.
+     *
+     * @private
+     * @method
+     * @returns {void}
+     */
+    #updateFormValue() {
+      const attributeConfig = this.#getFormValueAttributeConfig();
+
+      if (!this.#internals || !attributeConfig) {
+        return;
+      }
+
+      const value = this[attributeConfig.idlName];
+
+      if (value === null || value === undefined || value === false) {
+        this.#internals.setFormValue(null);
+      } else if (value === true) {
+        this.#internals.setFormValue('on');
+      } else if (value instanceof File || value instanceof FormData) {
+        this.#internals.setFormValue(value);
+      } else if (typeof value === 'object') {
+        const rawValue = this.#getIdlAttribute(attributeConfig);
+
+        this.#internals.setFormValue(typeof rawValue === 'string' ? rawValue : String(value));
+      } else {
+        this.#internals.setFormValue(String(value));
+      }
+    }
+    /**
+     * If an IDL Attribute is set on an element before it is upgraded (i.e. before customElements.define()
+     * is called), the value is set as an own property of the element, which shadows the getter setter on
+     * the prototype of the sub class. Delete these own properties and set their values again, through the setters.
+     *
+     * @private
+     * @method
+     * @returns {void}
+     */
+    #upgradeProperties() {
+      Mixin.#attributeConfigs.get(this.constructor).filter(({ idlName }) => {
+        return idlName && Object.hasOwn(this, idlName);
+      }).forEach(({ idlName }) => {
+        const value = this[idlName];
+
+        delete this[idlName];
+        this[idlName] = value;
+      });
+    }
+    /**
+     * Resolve the proxyTarget of an attribute, which is either the name (or dotted path) of a property of
+     * the element or a function that is called with the element and returns the target.
+     *
+     * If the attribute was set before its proxyTarget was available (i.e. before the shadow root of the
+     * element was rendered), its buffered value is set on the proxyTarget as soon as it is.
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig}
+     * @returns {?Object} The proxyTarget, or null if it is not available (yet).
+     */
+    #getProxyTarget({ idlName: idlAttributeName, proxyTarget, proxyKey }) {
+      const target = typeof proxyTarget === 'function'
+        ? proxyTarget.call(this, this)
+        : proxyTarget.split('.').reduce((object, key) => object?.[key], this);
+
+      if (target === null || target === undefined) {
+        return null;
+      }
+
+      if (this.#bufferedProxyAttributeNames.delete(idlAttributeName)) {
+        target[proxyKey ?? idlAttributeName] = this.#idlAttributes.get(idlAttributeName);
+      }
+
+      return target;
+    }
+    /**
+     * Set the buffered values of attributes on their proxyTargets, if they have become available.
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig[]} attributeConfigs
+     * @returns {void}
+     */
+    #flushProxyAttributes(attributeConfigs) {
+      attributeConfigs.filter(({ idlName, proxyTarget }) => {
+        return proxyTarget && this.#bufferedProxyAttributeNames.has(idlName);
+      }).forEach((attributeConfig) => {
+        this.#getProxyTarget(attributeConfig);
+      });
+    }
+    /**
+     * Get the unparsed value of an IDL Attribute from its compute function, its proxyTarget (or its buffered value, if the
+     * proxyTarget is not available yet), the private idlAttributes Map (non-reflecting IDL Attributes) or its Content Attribute.
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig}
+     * @returns {*}
+     */
+    #getIdlAttribute(attributeConfig) {
+      const { idlName: idlAttributeName, contentName: contentAttributeName, proxyTarget, proxyKey, compute } = attributeConfig;
+
+      if (compute) {
+        return compute.call(this, this);
+      }
+
+      if (proxyTarget) {
+        const target = this.#getProxyTarget(attributeConfig);
+
+        return target ? target[proxyKey ?? idlAttributeName] : this.#idlAttributes.get(idlAttributeName);
+      }
+
+      if (!contentAttributeName) {
+        return this.#idlAttributes.get(idlAttributeName);
+      }
+
+      return this.getAttribute(contentAttributeName);
+    }
+    /**
+     * Convert the unparsed value of an attribute (see #getIdlAttribute) to the value returned by its IDL Attribute getter.
+     *
+     * For tokens type attributes, this is the value of the token list (the getter returns the live list itself).
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig} attributeConfig
+     * @param {*} rawValue
+     * @returns {*}
+     */
+    #convertValue(attributeConfig, rawValue) {
+      const {
+        contentName: contentAttributeName,
+        proxyTarget,
+        type: attributeType,
+        defaultValue,
+        fromAttribute,
+        toAttribute,
+        compute
+      } = attributeConfig;
+
+      if (compute) {
+        return rawValue; // Already the value returned by the compute function.
+      }
+
+      if (fromAttribute || toAttribute) {
+        if (rawValue === null || rawValue === undefined) {
+          return defaultValue ?? null;
+        }
+
+        return fromAttribute ? fromAttribute(rawValue) : rawValue;
+      }
+
+      switch (attributeType) {
+        case 'boolean':
+          if (contentAttributeName) {
+            return rawValue !== null;
+          }
+
+          return rawValue !== undefined ? Boolean(rawValue) : Boolean(defaultValue);
+        case 'integer':
+        case 'number':
+        case 'unsigned':
+          return getNumericValue(rawValue, attributeConfig);
+        case 'array':
+        case 'json':
+          return this.#parseJsonAttribute(attributeConfig, rawValue);
+        case 'tokens':
+          return rawValue ?? defaultValue ?? null;
+        case 'enum':
+          return getEnumeratedKeyword(rawValue, attributeConfig);
+        default:
+          if (proxyTarget) {
+            return rawValue;
+          }
+
+          if (!contentAttributeName) {
+            return rawValue || defaultValue || (attributeType === 'string' ? '' : null);
+          }
+
+          return rawValue || defaultValue || '';
+      }
+    }
     /**
+     * Parse the value of a json or array type IDL Attribute.
+     *
+     * The parsed value is cached against the unparsed value, so it is only parsed again
+     * when the unparsed value changes. Parse errors are passed to the onParseError handler
+     * of the attribute config (or logged to the console) and the defaultValue or null is returned.
+     *
      * @private
-     * @static
-     * @type {boolean}
+     * @method
+     * @param {AttributeConfig}
+     * @param {?string} rawValue
+     * @returns {*}
      */
-    static #attributesReady = false; // Static, but re-initialised per sub class, because we return a new class definition of Mixin for every sub class that extends it.
+    #parseJsonAttribute({ idlName: idlAttributeName, type: attributeType, defaultValue, onParseError }, rawValue) {
+      if (rawValue === null || rawValue === undefined) {
+        return defaultValue ?? null;
+      }
+
+      const parsedAttribute = this.#parsedAttributes.get(idlAttributeName);
+
+      if (parsedAttribute && parsedAttribute.rawValue === rawValue) {
+        return parsedAttribute.value;
+      }
+
+      let value;
+
+      try {
+        value = JSON.parse(rawValue);
+        if (attributeType === 'array' && !Array.isArray(value)) {
+          throw new TypeError(`Expected a JSON array for "${idlAttributeName}" but received ${rawValue}.`);
+        }
+      } catch (error) {
+        if (onParseError) {
+          onParseError.call(this, error, rawValue);
+        } else {
+          console.error(error);
+        }
+        value = defaultValue ?? null;
+      }
+
+      this.#parsedAttributes.set(idlAttributeName, { rawValue, value });
+
+      return value;
+    }
     /**
-     * @static
-     * @type {AttributeConfig[]}
+     * Set the value of an IDL Attribute.
+     *
+     * The value is set on the proxyTarget (if there is one, otherwise it is buffered) and then either stored in the private
+     * idlAttributes Map (non-reflecting IDL Attributes) or reflected to the Content Attribute.
+     *
+     * The attributeChangedCallback lifecycle callback is only called for non-reflecting IDL Attributes that have changed (see #hasChanged).
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig}
+     * @param {*} value - The value to set on the proxyTarget or store for a non-reflecting IDL Attribute.
+     * @param {?string} contentAttributeValue - The value to reflect to the Content Attribute. If null, the Content Attribute is removed.
+     * @returns {void}
      */
-    static attributes = []; // In case "attributes" is not defined by the sub class.
+    #setIdlAttribute(attributeConfig, value, contentAttributeValue) {
+      const {
+        idlName: idlAttributeName,
+        contentName: contentAttributeName,
+        proxyTarget,
+        proxyKey
+      } = attributeConfig;
+
+      if (this.#ignoreReadonlySet(attributeConfig)) {
+        return;
+      }
+
+      const oldValue = this.#getIdlAttribute(attributeConfig);
+
+      if (proxyTarget) {
+        const target = this.#getProxyTarget(attributeConfig);
+
+        if (target) {
+          target[proxyKey ?? idlAttributeName] = value;
+        } else {
+          this.#bufferedProxyAttributeNames.add(idlAttributeName); // Until the proxyTarget is available.
+          this.#observeShadowRoot();
+          if (attributesMixin.devMode) {
+            Mixin.#warn(this.constructor, `The proxyTarget of "${idlAttributeName}" is not available, so its value is buffered until it is.`);
+          }
+        }
+      }
+      if (!contentAttributeName) {
+        this.#storeIdlAttribute(attributeConfig, oldValue, value);
+
+        return;
+      }
+      if (contentAttributeValue === null) {
+        this.removeAttribute(contentAttributeName);
+
+        return;
+      }
+      this.setAttribute(contentAttributeName, contentAttributeValue);
+    }
     /**
+     * Store the value of a non-reflecting (or computed) IDL Attribute in the private idlAttributes Map and, if it
+     * has changed (see #hasChanged), pass the change to the attributeChangedCallback lifecycle callback (unless
+     * setAttributeState() is being called) and then update the attributes that depend on it.
+     *
      * @private
-     * @type {Map.<string, *>}
+     * @method
+     * @param {AttributeConfig} attributeConfig
+     * @param {*} oldValue
+     * @param {*} value
+     * @returns {void}
      */
-    #idlAttributes;
+    #storeIdlAttribute(attributeConfig, oldValue, value) {
+      const { idlName: idlAttributeName } = attributeConfig;
+
+      this.#idlAttributes.set(idlAttributeName, value);
+      if (!this.#attributeChanged(attributeConfig, oldValue, value)) {
+        return; // Not changed, so there is nothing to notify.
+      }
+      if (!this.#stateChangedAttributes) {
+        this.#notifyIdlAttributeChanged(idlAttributeName, oldValue, value);
+      }
+      this.#updateComputedAttributes(attributeConfig);
+    }
     /**
-     * Mix IDL Attribute getter setters into the prototype of the sub class.
-     *
-     * Define a private idlAttributes Map for each instance of the sub class for storing and retrieving values of non-reflecting IDL Attributes.
+     * Pass the change of a non-reflecting (or computed) IDL Attribute to the attributeChangedCallback lifecycle callback,
+     * which the browser only calls for Content Attributes.
      *
-     * Define a static readonly observedAttributes getter with an array of content attribute names, derived from the static attributes property of the sub class.
+     * @private
+     * @method
+     * @param {string} idlAttributeName
+     * @param {*} oldValue
+     * @param {*} value
+     * @returns {void}
      */
-    constructor() {
-      super();
-      this.#idlAttributes = new Map(); // For IDL Attributes that do not reflect to Content Attributes.
-      if (Mixin.#attributesReady) {
-        return;
+    #notifyIdlAttributeChanged(idlAttributeName, oldValue, value) {
+      const notifyingIdlAttributeName = this.#notifyingIdlAttributeName;
+
+      this.#notifyingIdlAttributeName = idlAttributeName;
+      try {
+        this.attributeChangedCallback(idlAttributeName, oldValue, value);
+      } finally {
+        this.#notifyingIdlAttributeName = notifyingIdlAttributeName;
       }
-      this.#setupAttributes(this.constructor.attributes);
-      Mixin.#attributesReady = true;
     }
     /**
-     * Returns an array of content attributes that will invoke the attributeChangedCallback lifecycle callback.
+     * Compute the attributes that depend on an attribute again, after it has changed, and notify their changes.
      *
-     * @static
-     * @type {string[]}
+     * The last computed value of each computed attribute is kept in the private idlAttributes Map (see #storeIdlAttribute)
+     * as its old value. It is undefined if the attribute has not been computed since the element was created.
+     *
+     * @private
+     * @method
+     * @param {AttributeConfig}
+     * @returns {void}
      */
-    static get observedAttributes() {
-      // Inside static methods, "this" refers to the constructor.
-      return this.attributes.filter(({ contentName }) => {
-        return contentName;
-      }).map(({ contentName }) => {
-        return contentName;
+    #updateComputedAttributes({ idlName: idlAttributeName, contentName: contentAttributeName }) {
+      Mixin.#attributeConfigs.get(this.constructor).filter(({ dependsOn }) => {
+        return dependsOn?.some((dependency) => dependency === idlAttributeName || dependency === contentAttributeName);
+      }).forEach((attributeConfig) => {
+        this.#storeIdlAttribute(attributeConfig, this.#idlAttributes.get(attributeConfig.idlName), this.#getIdlAttribute(attributeConfig));
       });
     }
-    attributeChangedCallback(_attributeName, _oldValue, _newValue) {} // In case "attributeChangedCallback" is not defined by the sub class.
     /**
      * Mix IDL Attribute getter setters into the prototype of the sub class.
      *
@@ -97,150 +2186,454 @@ const attributesMixin = (Base) => {
      * of defining them on each instance of the sub class (web component).
      *
      * @private
+     * @static
      * @method
+     * @param {Object} prototype - The prototype of the sub class.
      * @param {AttributeConfig}
-     * @throws Will throw an error if proxyTarget is set without idlName being set.
-     * @throws Will throw an error if both contentName and proxyTarget are set.
-     * @throws Will throw an error if one of either proxyTarget or defaultValue is not set and readonly is set to `true`.
      * @returns {void}
      */
-    #setupAttribute({
-      idlName: idlAttributeName,
-      contentName: contentAttributeName,
-      proxyTarget,
-      type: attributeType,
-      defaultValue,
-      readonly
-    }) {
-      if (proxyTarget && !idlAttributeName) {
-        throw new Error('You must provide a value for "idlName" when using a proxyTarget.');
-      }
+    static #setupAttribute(prototype, attributeConfig) {
+      const {
+        idlName: idlAttributeName,
+        type: attributeType,
+        min,
+        max,
+        step,
+        fromAttribute,
+        toAttribute
+      } = attributeConfig;
 
-      if (proxyTarget && contentAttributeName) {
-        throw new Error('The "contentName" and "proxyTarget" properties cannot be used together.')
+      if (!idlAttributeName) {
+        return;
       }
 
-      if (readonly && !proxyTarget && defaultValue === undefined) {
-        throw new Error('You must provide a proxyTarget or defaultValue for readonly attributes.');
+      function get() {
+        return this.#convertValue(attributeConfig, this.#getIdlAttribute(attributeConfig));
       }
 
-      const reflectToContentAttribute = Boolean(contentAttributeName);
+      if (fromAttribute || toAttribute) {
+        Object.defineProperty(prototype, idlAttributeName, {
+          get,
+          set(value) {
+            const contentAttributeValue = toAttribute ? toAttribute(value) ?? null : String(value);
+
+            this.#setIdlAttribute(attributeConfig, contentAttributeValue, contentAttributeValue);
+          }
+        });
+
+        return;
+      }
 
       switch (attributeType) {
         case 'boolean':
-          Object.defineProperty(this.constructor.prototype, idlAttributeName, {
-            get() {
-              if (proxyTarget) {
-                const value = this[proxyTarget][idlAttributeName];
-
-                return value !== undefined ? Boolean(value) : Boolean(defaultValue);
+          Object.defineProperty(prototype, idlAttributeName, {
+            get,
+            set(value) {
+              this.#setIdlAttribute(attributeConfig, value, value ? '' : null);
+            }
+          });
+          break;
+        case 'integer':
+        case 'number':
+        case 'unsigned':
+          Object.defineProperty(prototype, idlAttributeName, {
+            get,
+            set(value) {
+              if (this.#ignoreReadonlySet(attributeConfig)) {
+                return;
               }
 
-              if (!reflectToContentAttribute) {
-                const value = this.#idlAttributes.get(idlAttributeName);
+              const number = parseNumber(value, attributeType);
 
-                return value !== undefined ? Boolean(value) : Boolean(defaultValue);
+              if (attributeType === 'unsigned' && number < 0) {
+                throw new DOMException(`The value provided for "${idlAttributeName}" (${value}) is negative.`, 'IndexSizeError');
               }
 
-              return this.hasAttribute(contentAttributeName);
-            },
-            set(value) {
-              if (readonly) {
-                return;
+              if (!Number.isNaN(number) && (min !== undefined || max !== undefined || step)) {
+                value = constrainNumber(number, { min, max, step });
               }
-              if (proxyTarget) {
-                this[proxyTarget][idlAttributeName] = value;
-              }
-              if (!reflectToContentAttribute) {
-                const oldValue = this.#idlAttributes.get(idlAttributeName);
-                this.#idlAttributes.set(idlAttributeName, value);
-                this.attributeChangedCallback(idlAttributeName, oldValue, value);
 
-                return;
-              }
-              if (value) {
-                this.setAttribute(contentAttributeName, '');
-              } else {
-                this.removeAttribute(contentAttributeName);
-              }
+              this.#setIdlAttribute(attributeConfig, value, String(value));
             }
           });
           break;
-        case 'number':
-          Object.defineProperty(this.constructor.prototype, idlAttributeName, {
-            get() {
-              if (proxyTarget) {
-                return parseFloat(this[proxyTarget][idlAttributeName], 10) || null;
-              }
-              if (!reflectToContentAttribute) {
-                return parseFloat(this.#idlAttributes.get(idlAttributeName), 10) || parseFloat(defaultValue, 10) || null;
-              }
-
-              return parseFloat(this.getAttribute(contentAttributeName), 10) || parseFloat(defaultValue, 10) || null;
-            },
+        case 'array':
+        case 'json':
+          Object.defineProperty(prototype, idlAttributeName, {
+            get,
             set(value) {
-              if (readonly) {
-                return;
-              }
-              if (proxyTarget) {
-                this[proxyTarget][idlAttributeName] = value;
-              }
-              if (!reflectToContentAttribute) {
-                const oldValue = this.#idlAttributes.get(idlAttributeName);
-                this.#idlAttributes.set(idlAttributeName, value);
-                this.attributeChangedCallback(idlAttributeName, oldValue, value);
+              const contentAttributeValue = value === null || value === undefined ? null : JSON.stringify(value);
 
-                return;
-              }
-              this.setAttribute(contentAttributeName, value);
+              this.#setIdlAttribute(attributeConfig, contentAttributeValue, contentAttributeValue);
             }
           });
           break;
-        default:
-          Object.defineProperty(this.constructor.prototype, idlAttributeName, {
+        case 'tokens':
+          Object.defineProperty(prototype, idlAttributeName, {
             get() {
-              if (proxyTarget) {
-                return this[proxyTarget][idlAttributeName];
-              }
-
-              if (!reflectToContentAttribute) {
-                return this.#idlAttributes.get(idlAttributeName) || defaultValue || (attributeType === 'string' ? '' : null);
+              if (!this.#tokenLists.has(idlAttributeName)) {
+                this.#tokenLists.set(idlAttributeName, new AttributeTokenList({
+                  getValue: () => this.#convertValue(attributeConfig, this.#getIdlAttribute(attributeConfig)),
+                  setValue: (value) => this.#setIdlAttribute(attributeConfig, value, value)
+                }));
               }
 
-              return this.getAttribute(contentAttributeName) || defaultValue || '';
+              return this.#tokenLists.get(idlAttributeName);
             },
             set(value) {
-              if (readonly) {
-                return;
-              }
-              if (proxyTarget) {
-                this[proxyTarget][idlAttributeName] = value;
-              }
-              if (!reflectToContentAttribute) {
-                const oldValue = this.#idlAttributes.get(idlAttributeName);
-                this.#idlAttributes.set(idlAttributeName, value);
-                this.attributeChangedCallback(idlAttributeName, oldValue, value);
-
-                return;
-              }
-              this.setAttribute(contentAttributeName, value);
+              // Like DOMTokenList attributes (i.e. relList), setting the IDL Attribute sets the value of the list.
+              this.#setIdlAttribute(attributeConfig, String(value), String(value));
+            }
+          });
+          break;
+        default:
+          Object.defineProperty(prototype, idlAttributeName, {
+            get,
+            set(value) {
+              this.#setIdlAttribute(attributeConfig, value, String(value));
             }
           });
           break;
       }
     }
     /**
+     * Mix getter setters for the IDL Attribute aliases of an attribute into the prototype of the sub class.
+     * They get and set the IDL Attribute they are an alias of and log a deprecation warning (once per sub class).
+     *
+     * @private
+     * @static
+     * @method
+     * @param {Object} prototype - The prototype of the sub class.
+     * @param {AttributeConfig} attributeConfig
+     * @returns {void}
+     */
+    static #setupIdlAliases(prototype, attributeConfig) {
+      const { idlName: idlAttributeName } = attributeConfig;
+
+      getIdlAliases(attributeConfig).forEach((alias) => {
+        const message = `The "${alias}" property is deprecated. Use "${idlAttributeName}" instead.`;
+
+        Object.defineProperty(prototype, alias, {
+          get() {
+            Mixin.#warnOnce(this.constructor, message);
+
+            return this[idlAttributeName];
+          },
+          set(value) {
+            Mixin.#warnOnce(this.constructor, message);
+            this[idlAttributeName] = value;
+          }
+        });
+      });
+    }
+    /**
+     * Log a warning to the console, unless it has already been logged for the sub class.
+     *
+     * @private
+     * @static
+     * @method
+     * @param {typeof HTMLElement} constructor - The sub class.
+     * @param {string} message
+     * @returns {void}
+     */
+    static #warnOnce(constructor, message) {
+      if (!Mixin.#warnings.has(constructor)) {
+        Mixin.#warnings.set(constructor, new Set());
+      }
+
+      const warnings = Mixin.#warnings.get(constructor);
+
+      if (!warnings.has(message)) {
+        warnings.add(message);
+        Mixin.#warn(constructor, message);
+      }
+    }
+    /**
+     * Log a warning to the console, prefixed with the name of the sub class.
+     *
+     * @private
+     * @static
+     * @method
+     * @param {typeof HTMLElement} constructor - The sub class.
+     * @param {string} message
+     * @returns {void}
+     */
+    static #warn(constructor, message) {
+      console.warn(`${constructor.name}: ${message}`);
+    }
+    /**
+     * Returns the attribute configs declared by a class itself, in its static attributes array followed by those
+     * declared with the attribute decorator (see attribute()), or null if it declares none.
+     *
+     * @private
+     * @static
+     * @method
+     * @param {typeof HTMLElement} constructor
+     * @returns {?AttributeConfig[]} Or the static attributes property as it is, if it is not an array (so that it fails validation).
+     */
+    static #getOwnAttributeConfigs(constructor) {
+      // Like the decorators implementations, falls back to the registered symbol where Symbol.metadata is not defined.
+      const metadataKey = Symbol.metadata ?? Symbol.for('Symbol.metadata');
+      const metadata = Object.hasOwn(constructor, metadataKey) ? constructor[metadataKey] : null;
+      const decoratedAttributeConfigs = metadata && Object.hasOwn(metadata, DECORATED_ATTRIBUTE_CONFIGS) ? metadata[DECORATED_ATTRIBUTE_CONFIGS] : [];
+
+      if (!Object.hasOwn(constructor, 'attributes')) {
+        return decoratedAttributeConfigs.length ? decoratedAttributeConfigs : null;
+      }
+
+      return Array.isArray(constructor.attributes) ? [...constructor.attributes, ...decoratedAttributeConfigs] : constructor.attributes;
+    }
+    /**
+     * Merge the attribute configs of the sub class with those of the classes it extends.
+     *
+     * Attribute configs of a sub class override those of the class it extends with the same idlName or contentName.
+     *
+     * @private
+     * @static
+     * @method
+     * @param {{ name: string, attributes: AttributeConfig[] }[]} constructors - The names and own attribute configs (see #getOwnAttributeConfigs)
+     * of the sub class and the classes it extends, in order of inheritance (base class first).
+     * @returns {AttributeConfig[]}
+     */
+    static #mergeAttributeConfigs(constructors) {
+      return constructors.reduce((mergedAttributeConfigs, { attributes }) => {
+        const isOverridden = (attributeConfig) => {
+          return attributes.some(({ idlName, contentName }) => {
+            return (idlName && idlName === attributeConfig.idlName) || (contentName && contentName === attributeConfig.contentName);
+          });
+        };
+
+        return [...mergedAttributeConfigs.filter((attributeConfig) => !isOverridden(attributeConfig)), ...attributes];
+      }, []);
+    }
+    /**
+     * Validate the attribute configs of the sub class (and the classes it extends), merge them and mix
+     * their IDL Attribute getter setters into the prototype of the sub class.
+     *
+     * Only runs once per sub class.
+     *
      * @private
+     * @static
      * @method
-     * @param {AttributeConfig[]}
+     * @param {typeof HTMLElement} constructor - The sub class.
+     * @throws Will throw an error listing every problem found if any of the attribute configs are invalid.
      * @returns {void}
      */
-    #setupAttributes(attributeConfigs) {
+    static #setupAttributes(constructor) {
+      if (Mixin.#attributeConfigs.has(constructor)) {
+        return;
+      }
+
+      const constructors = [];
+
+      for (let ancestor = constructor; ancestor.prototype instanceof HTMLElement; ancestor = Object.getPrototypeOf(ancestor)) {
+        const attributes = Mixin.#getOwnAttributeConfigs(ancestor);
+
+        if (attributes) {
+          constructors.unshift({ name: ancestor.name, attributes });
+        }
+      }
+
+      const problems = constructors.flatMap(({ name, attributes }) => {
+        return validateAttributeConfigs(attributes).map(({ message }) => `${name}: ${message}`);
+      });
+
+      if (problems.length) {
+        throw new Error(problems.join('\n'));
+      }
+
+      const attributeConfigs = Mixin.#mergeAttributeConfigs(constructors);
+      const unknownDependencies = attributeConfigs.flatMap(({ idlName, dependsOn = [] }) => {
+        return dependsOn.filter((dependency) => {
+          return !attributeConfigs.some((attributeConfig) => dependency === attributeConfig.idlName || dependency === attributeConfig.contentName);
+        }).map((dependency) => `${constructor.name}: The dependency "${dependency}" of "${idlName}" is not an attribute.`);
+      });
+
+      if (unknownDependencies.length) {
+        throw new Error(unknownDependencies.join('\n'));
+      }
+
+      if (constructor.formAssociated) {
+        if (!attributeConfigs.some(({ idlName }) => idlName === 'name')) {
+          attributeConfigs.push({ idlName: 'name', contentName: 'name' });
+        }
+        Mixin.#setupFormAssociatedProperties(constructor.prototype);
+      } else if (attributeConfigs.some(hasConstraints)) {
+        Mixin.#setupConstraintValidationProperties(constructor.prototype);
+      }
+      if (!constructor.formAssociated && attributeConfigs.some(({ formValue }) => formValue)) {
+        throw new Error(`${constructor.name}: The "formValue" property can only be used when the class is form associated (static formAssociated = true).`);
+      }
+
       attributeConfigs.forEach((attributeConfig) => {
-        this.#setupAttribute(attributeConfig);
+        Mixin.#setupAttribute(constructor.prototype, attributeConfig);
+        Mixin.#setupIdlAliases(constructor.prototype, attributeConfig);
+      });
+      Mixin.#attributeConfigs.set(constructor, attributeConfigs);
+    }
+    /**
+     * Mix the readonly form, labels and willValidate IDL Attributes of form associated elements into
+     * the prototype of the sub class, along with those of constraint validation. Each one is backed by
+     * the ElementInternals of the element.
+     *
+     * Any that the sub class (or a class it extends) already defines are left alone.
+     *
+     * @private
+     * @static
+     * @method
+     * @param {Object} prototype - The prototype of the sub class.
+     * @returns {void}
+     */
+    static #setupFormAssociatedProperties(prototype) {
+      ['form', 'labels', 'willValidate'].filter((propertyName) => {
+        return !(propertyName in prototype);
+      }).forEach((propertyName) => {
+        Object.defineProperty(prototype, propertyName, {
+          get() {
+            return this.#internals?.[propertyName] ?? null;
+          }
+        });
+      });
+
+      Mixin.#setupConstraintValidationProperties(prototype);
+    }
+    /**
+     * Mix the readonly validationMessage and validity IDL Attributes and the checkValidity() and reportValidity()
+     * methods of constraint validation into the prototype of the sub class.
+     *
+     * Each one is backed by the ElementInternals of the element if it is form associated, or by the validity the mixin
+     * stores otherwise (in which case checkValidity() and reportValidity() both fire an invalid event if the
+     * element is invalid, but reportValidity() does not show the validation message to the user).
+     *
+     * Any that the sub class (or a class it extends) already defines are left alone.
+     *
+     * @private
+     * @static
+     * @method
+     * @param {Object} prototype - The prototype of the sub class.
+     * @returns {void}
+     */
+    static #setupConstraintValidationProperties(prototype) {
+      const properties = {
+        validationMessage: {
+          get() {
+            if (this.#validityInternals) {
+              return this.#validityInternals.validationMessage;
+            }
+            if (!this.#validity) {
+              this.#updateValidity();
+            }
+
+            return this.#validationMessage;
+          }
+        },
+        validity: {
+          get() {
+            if (this.#validityInternals) {
+              return this.#validityInternals.validity;
+            }
+            if (!this.#validity) {
+              this.#updateValidity();
+            }
+
+            return this.#validity ?? Object.freeze({ ...VALIDITY_FLAGS, valid: true });
+          }
+        },
+        checkValidity: {
+          value() {
+            if (this.#validityInternals) {
+              return this.#validityInternals.checkValidity();
+            }
+            if (this.validity.valid) {
+              return true;
+            }
+            this.dispatchEvent(new Event('invalid', { cancelable: true }));
+
+            return false;
+          },
+          writable: true
+        },
+        reportValidity: {
+          value() {
+            if (this.#validityInternals) {
+              return this.#validityInternals.reportValidity();
+            }
+
+            return this.checkValidity();
+          },
+          writable: true
+        }
+      };
+
+      Object.entries(properties).filter(([propertyName]) => {
+        return !(propertyName in prototype);
+      }).forEach(([propertyName, descriptor]) => {
+        Object.defineProperty(prototype, propertyName, descriptor);
       });
     }
   }
 };
 
-export { attributesMixin };
+attributesMixin.validate = validateAttributeConfigs;
+/**
+ * Development mode. If true, elements warn (on the console) when an attribute that is not configured is set (elements
+ * created after it is set only), when the value of an attribute cannot be parsed by its type, when a readonly attribute
+ * is set and when the proxyTarget of an attribute is not available.
+ *
+ * @type {boolean}
+ */
+attributesMixin.devMode = false;
+/**
+ * Standard (TC39) decorator that declares an attribute on a public accessor field of a sub class, as an alternative
+ * to its static attributes array (a class can use both). The idlName of the attribute is the name of the field and
+ * the attribute config is the same as in the static attributes array otherwise, so the IDL Attribute getter setter,
+ * observedAttributes and lifecycle callbacks are the same too.
+ *
+ * The value of an initializer of the field is ignored with a warning (use defaultValue instead). Requires decorator metadata, which TypeScript (5.2+)
+ * and @babel/plugin-proposal-decorators (version "2023-11") support.
+ *
+ * @example
+ * ```
+ * class SizeInput extends attributesMixin(HTMLElement) {
+ *   @attribute({ contentName: 'size', type: 'number', defaultValue: 20 }) accessor size;
+ *   @attribute({ type: 'boolean' }) accessor expanded;
+ * }
+ * customElements.define('size-input', SizeInput);
+ * ```
+ *
+ * @param {AttributeConfig} [attributeConfig] - The attribute config, without idlName.
+ * @returns {function(Object, Object): Object} The accessor decorator.
+ * @throws The decorator throws an error if it is not used on a public, non-static accessor field or if decorator metadata is not supported.
+ */
+const attribute = (attributeConfig = {}) => {
+  return (_value, { kind, name, static: isStatic, private: isPrivate, metadata }) => {
+    if (kind !== 'accessor' || isStatic || isPrivate) {
+      throw new Error(`The attribute decorator can only be used on public, non-static accessor fields (i.e. @attribute() accessor size). Received ${isStatic ? 'static ' : ''}${kind} "${String(name)}".`);
+    }
+    if (!metadata) {
+      throw new Error(`The attribute decorator requires decorator metadata, which is not supported by the decorators implementation that compiled "${String(name)}".`);
+    }
+
+    if (!Object.hasOwn(metadata, DECORATED_ATTRIBUTE_CONFIGS)) {
+      metadata[DECORATED_ATTRIBUTE_CONFIGS] = []; // Not the inherited configs of the class this class extends.
+    }
+    metadata[DECORATED_ATTRIBUTE_CONFIGS].push({ ...attributeConfig, idlName: name });
+
+    let warned = false;
+
+    return {
+      // Decorators cannot tell whether the field has an initializer until it runs for an instance, so this warns instead
+      // of throwing an error in the constructor, which the HTML parser would only report when it upgrades the element.
+      init(value) {
+        if (value !== undefined && !warned) {
+          warned = true;
+          console.warn(`${this.constructor.name}: The "${String(name)}" accessor cannot have an initializer, so its value is ignored. Use the defaultValue property of its attribute config instead.`);
+        }
+
+        return undefined;
+      }
+    };
+  };
+};
+
+export { attributesMixin, attribute };
@@ -1,4 +1,4 @@
-import { attributesMixin } from './attributes.mixin.js';
+import { attributesMixin, attribute } from './attributes.mixin.js';
 
 const attributes = [
   { idlName: 'attributeX' },
@@ -16,7 +16,26 @@ const attributes = [
   { idlName: 'boolean', type: 'boolean' },
   { idlName: 'number', type: 'number' },
   { idlName: 'booleanThatReflects', contentName: 'boolean-that-reflects', type: 'boolean' },
-  { idlName: 'numberThatReflects', contentName: 'number-that-reflects', type: 'number' }
+  { idlName: 'numberThatReflects', contentName: 'number-that-reflects', type: 'number' },
+  { idlName: 'integer', type: 'integer' },
+  { idlName: 'rating', type: 'number', min: 0, max: 5, step: 0.5 },
+  { idlName: 'count', contentName: 'count', type: 'integer', min: -10, max: 10 },
+  { idlName: 'rows', contentName: 'rows', type: 'unsigned', min: 1, defaultValue: 2 },
+  { idlName: 'tabIndex', type: 'integer', proxyTarget: 'proxyTargetA' },
+  { idlName: 'size', type: 'unsigned', proxyTarget: 'proxyTargetA' },
+  { idlName: 'duration', fromAttribute: (value) => parseFloat(value) * 1000, toAttribute: (milliseconds) => `${milliseconds / 1000}s` },
+  { idlName: 'date', contentName: 'date', fromAttribute: (value) => new Date(value), toAttribute: (date) => date?.toISOString() },
+  { idlName: 'width', contentName: 'width', fromAttribute: (value) => value.split(/(?<=\d)(?=[a-z%])/), defaultValue: [0, 'px'] },
+  { idlName: 'min', proxyTarget: 'proxyTargetA', fromAttribute: (value) => new Date(value), toAttribute: (date) => date.toISOString().slice(0, 10) },
+  { idlName: 'options', type: 'json' },
+  { idlName: 'config', contentName: 'config', type: 'json', onParseError(error, value) { this.parseErrorSpy(error, value); } },
+  { idlName: 'series', contentName: 'series', type: 'array', defaultValue: [] },
+  { idlName: 'features', contentName: 'features', type: 'tokens' },
+  { idlName: 'parts', type: 'tokens', defaultValue: 'header body' },
+  { idlName: 'orientation', type: 'enum', values: ['horizontal', 'vertical'] },
+  { idlName: 'dir', type: 'enum', proxyTarget: 'proxyTargetA', values: ['ltr', 'rtl', 'auto'] },
+  { idlName: 'readonlyEnum', type: 'enum', readonly: true, values: ['ltr', 'rtl', 'auto'], defaultValue: 'RTL' },
+  { idlName: 'variant', contentName: 'variant', type: 'enum', values: ['primary', 'secondary', 'dangerZone'], defaultValue: 'primary', invalidValueDefault: 'secondary' }
 ];
 
 class WebComponent extends attributesMixin(HTMLElement) {
@@ -27,9 +46,11 @@ class WebComponent extends attributesMixin(HTMLElement) {
     super();
   }
   attributeChangedCallback(attributeName, oldValue, newValue) {
+    super.attributeChangedCallback(attributeName, oldValue, newValue);
     this.attributeChangedCallbackSpy(attributeName, oldValue, newValue);
   }
   attributeChangedCallbackSpy(_attributeName, _oldValue, _newValue) {}
+  parseErrorSpy(_error, _value) {}
 }
 
 customElements.define('web-component', WebComponent);
@@ -80,6 +101,1540 @@ describe('attributesMixin', () => {
     expect(webComponent.proxyTargetA.value).toEqual('123');
   });
 
+  describe('inheritance', () => {
+    class BaseButton extends attributesMixin(HTMLElement) {
+      static attributes = [
+        { idlName: 'disabled', contentName: 'disabled', type: 'boolean' },
+        { idlName: 'size', contentName: 'size', type: 'enum', values: ['small', 'large'], defaultValue: 'small' },
+        { idlName: 'label' }
+      ];
+    }
+
+    class FancyButton extends BaseButton {
+      static attributes = [
+        { idlName: 'size', contentName: 'size', type: 'enum', values: ['small', 'medium', 'large'], defaultValue: 'medium' },
+        { idlName: 'sparkle', contentName: 'sparkle', type: 'boolean' }
+      ];
+    }
+
+    class FancierButton extends FancyButton {}
+
+    customElements.define('base-button', BaseButton);
+    customElements.define('fancy-button', FancyButton);
+    customElements.define('fancier-button', FancierButton);
+
+    it('should merge the attributes of sub classes with those of the classes they extend', () => {
+      expect(BaseButton.observedAttributes).toEqual(['disabled', 'size']);
+      expect(FancyButton.observedAttributes).toEqual(['disabled', 'size', 'sparkle']);
+      expect(FancierButton.observedAttributes).toEqual(['disabled', 'size', 'sparkle']);
+    });
+
+    it('should set up the attributes of each sub class', () => {
+      const baseButton = document.createElement('base-button');
+      const fancyButton = document.createElement('fancy-button');
+      const fancierButton = document.createElement('fancier-button');
+
+      expect(baseButton.size).toEqual('small');
+      expect(fancyButton.size).toEqual('medium');
+      expect(fancierButton.size).toEqual('medium');
+
+      baseButton.size = 'medium';
+      fancyButton.size = 'medium';
+      fancyButton.sparkle = true;
+      fancyButton.disabled = true;
+      fancyButton.label = 'abc';
+
+      expect(baseButton.size).toEqual('');
+      expect(fancyButton.size).toEqual('medium');
+      expect(fancyButton.getAttribute('size')).toEqual('medium');
+      expect(fancyButton.hasAttribute('sparkle')).toEqual(true);
+      expect(fancyButton.hasAttribute('disabled')).toEqual(true);
+      expect(fancyButton.label).toEqual('abc');
+      expect(baseButton.sparkle).toBeUndefined();
+    });
+
+    it('should throw an error naming the class with invalid attributes', () => {
+      class BrokenButton extends BaseButton {
+        static attributes = [{ idlName: 'potato', attributeType: 'number' }];
+      }
+
+      expect(() => {
+        customElements.define('broken-button', BrokenButton);
+      }).toThrow('BrokenButton: Unknown property "attributeType"');
+    });
+  });
+
+  describe('lazy property upgrade', () => {
+    it('should set IDL attributes that were set before the element was upgraded through their setters', async () => {
+      const lazyComponent = document.createElement('lazy-component');
+
+      lazyComponent.value = 'abc';
+      lazyComponent.checked = 1;
+      lazyComponent.count = '12';
+      lazyComponent.notAnAttribute = 'abc';
+
+      class LazyComponent extends attributesMixin(HTMLElement) {
+        proxyTarget = document.createElement('input');
+        static attributes = [
+          { idlName: 'value', proxyTarget: 'proxyTarget' },
+          { idlName: 'checked', contentName: 'checked', type: 'boolean' },
+          { idlName: 'count', type: 'number' },
+          { idlName: 'label', contentName: 'label' }
+        ];
+        attributeChangedCallback(attributeName, oldValue, newValue) {
+          this.attributeChangedCallbackSpy(attributeName, oldValue, newValue);
+        }
+        attributeChangedCallbackSpy = jest.fn();
+      }
+
+      customElements.define('lazy-component', LazyComponent);
+      customElements.upgrade(lazyComponent);
+
+      expect(lazyComponent).toBeInstanceOf(LazyComponent);
+      expect(lazyComponent.value).toEqual('abc');
+
+      await Promise.resolve();
+
+      expect(Object.hasOwn(lazyComponent, 'value')).toEqual(false);
+      expect(Object.hasOwn(lazyComponent, 'checked')).toEqual(false);
+      expect(Object.hasOwn(lazyComponent, 'notAnAttribute')).toEqual(true);
+      expect(lazyComponent.value).toEqual('abc');
+      expect(lazyComponent.proxyTarget.value).toEqual('abc');
+      expect(lazyComponent.checked).toEqual(true);
+      expect(lazyComponent.getAttribute('checked')).toEqual('');
+      expect(lazyComponent.count).toEqual(12);
+      expect(lazyComponent.label).toEqual('');
+      expect(lazyComponent.attributeChangedCallbackSpy).toHaveBeenCalledWith('checked', null, '');
+      expect(lazyComponent.attributeChangedCallbackSpy).toHaveBeenCalledWith('count', undefined, '12');
+    });
+  });
+
+  describe('form association', () => {
+    class ElementInternalsMock {
+      form = null;
+      labels = [];
+      validationMessage = '';
+      validity = { valid: true };
+      willValidate = true;
+      checkValidity = jest.fn(() => true);
+      reportValidity = jest.fn(() => true);
+      setFormValue = jest.fn();
+      setValidity = jest.fn();
+    }
+
+    class FormComponent extends attributesMixin(HTMLElement) {
+      static formAssociated = true;
+      static attributes = [
+        { idlName: 'value', contentName: 'value', formValue: true, defaultValue: 'abc' }
+      ];
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+      }
+    }
+
+    class FormCheckbox extends attributesMixin(HTMLElement) {
+      static formAssociated = true;
+      static attributes = [
+        { idlName: 'checked', type: 'boolean', formValue: true },
+        { idlName: 'data', type: 'json' }
+      ];
+    }
+
+    class FormFile extends attributesMixin(HTMLElement) {
+      static formAssociated = true;
+      static attributes = [
+        { idlName: 'file', formValue: true },
+        { idlName: 'features', contentName: 'features', type: 'tokens', formValue: false }
+      ];
+    }
+
+    customElements.define('form-component', FormComponent);
+    customElements.define('form-checkbox', FormCheckbox);
+    customElements.define('form-file', FormFile);
+
+    beforeEach(() => {
+      HTMLElement.prototype.attachInternals = function () {
+        this.internalsMock = new ElementInternalsMock();
+
+        return this.internalsMock;
+      };
+    });
+
+    afterEach(() => {
+      delete HTMLElement.prototype.attachInternals;
+    });
+
+    it('should add a reflecting name attribute', () => {
+      const formComponent = document.createElement('form-component');
+
+      expect(FormComponent.observedAttributes).toEqual(['value', 'name']);
+
+      formComponent.name = 'abc';
+
+      expect(formComponent.getAttribute('name')).toEqual('abc');
+    });
+
+    it('should set the initial form value', async () => {
+      const formComponent = document.createElement('form-component');
+
+      expect(formComponent.internalsMock.setFormValue).not.toHaveBeenCalled();
+
+      await Promise.resolve();
+
+      expect(formComponent.internalsMock.setFormValue).toHaveBeenCalledWith('abc');
+    });
+
+    it('should keep the form value in sync with the formValue attribute', () => {
+      const formComponent = document.createElement('form-component');
+
+      formComponent.value = 'xyz';
+
+      expect(formComponent.internalsMock.setFormValue).toHaveBeenLastCalledWith('xyz');
+
+      formComponent.setAttribute('value', '123');
+
+      expect(formComponent.internalsMock.setFormValue).toHaveBeenLastCalledWith('123');
+
+      formComponent.name = 'abc';
+
+      expect(formComponent.internalsMock.setFormValue).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reset the formValue attribute to its defaultValue', () => {
+      const formComponent = document.createElement('form-component');
+      const formCheckbox = document.createElement('form-checkbox');
+
+      formComponent.value = 'xyz';
+      formComponent.formResetCallback();
+
+      expect(formComponent.hasAttribute('value')).toEqual(false);
+      expect(formComponent.value).toEqual('abc');
+      expect(formComponent.internalsMock.setFormValue).toHaveBeenLastCalledWith('abc');
+
+      formCheckbox.checked = true;
+      formCheckbox.formResetCallback();
+
+      expect(formCheckbox.checked).toEqual(false);
+      expect(formCheckbox.internalsMock.setFormValue).toHaveBeenLastCalledWith(null);
+    });
+
+    it('should restore the formValue attribute', () => {
+      const formComponent = document.createElement('form-component');
+      const formCheckbox = document.createElement('form-checkbox');
+
+      formComponent.formStateRestoreCallback('xyz', 'restore');
+      formCheckbox.formStateRestoreCallback('on', 'restore');
+
+      expect(formComponent.value).toEqual('xyz');
+      expect(formCheckbox.checked).toEqual(true);
+    });
+
+    it('should not reset or restore anything if there is no formValue attribute', () => {
+      webComponent.attributeB = 'abc';
+      webComponent.formResetCallback();
+      webComponent.formStateRestoreCallback('xyz', 'restore');
+
+      expect(webComponent.attributeB).toEqual('abc');
+    });
+
+    it('should convert the formValue attribute to a form value', () => {
+      const formCheckbox = document.createElement('form-checkbox');
+      const formFile = document.createElement('form-file');
+      const file = new File(['abc'], 'abc.txt');
+
+      formCheckbox.checked = true;
+
+      expect(formCheckbox.internalsMock.setFormValue).toHaveBeenLastCalledWith('on');
+
+      formCheckbox.data = { a: 1 };
+
+      expect(formCheckbox.internalsMock.setFormValue).toHaveBeenCalledTimes(1);
+
+      formFile.file = file;
+
+      expect(formFile.internalsMock.setFormValue).toHaveBeenLastCalledWith(file);
+
+      formFile.file = new Date(0);
+
+      expect(formFile.internalsMock.setFormValue).toHaveBeenLastCalledWith(String(new Date(0)));
+
+      formFile.file = 123;
+
+      expect(formFile.internalsMock.setFormValue).toHaveBeenLastCalledWith('123');
+    });
+
+    it('should add form, labels, validationMessage, validity, willValidate, checkValidity() and reportValidity() backed by ElementInternals', () => {
+      const formComponent = document.createElement('form-component');
+
+      expect(formComponent.form).toBeNull();
+      expect(formComponent.labels).toEqual([]);
+      expect(formComponent.validationMessage).toEqual('');
+      expect(formComponent.validity).toEqual({ valid: true });
+      expect(formComponent.willValidate).toEqual(true);
+      expect(formComponent.checkValidity()).toEqual(true);
+      expect(formComponent.reportValidity()).toEqual(true);
+      expect(formComponent.internalsMock.checkValidity).toHaveBeenCalled();
+      expect(formComponent.internalsMock.reportValidity).toHaveBeenCalled();
+    });
+
+    it('should work without ElementInternals support', async () => {
+      delete HTMLElement.prototype.attachInternals;
+
+      const formComponent = document.createElement('form-component');
+
+      formComponent.value = 'xyz';
+      await Promise.resolve();
+
+      expect(formComponent.form).toBeNull();
+      expect(formComponent.validity.valid).toEqual(true);
+      expect(formComponent.checkValidity()).toEqual(true);
+    });
+
+    it('should throw an error if formValue is used by a class that is not form associated', () => {
+      class NotFormAssociated extends attributesMixin(HTMLElement) {
+        static attributes = [{ idlName: 'value', formValue: true }];
+      }
+
+      expect(() => {
+        customElements.define('not-form-associated', NotFormAssociated);
+      }).toThrow('NotFormAssociated: The "formValue" property can only be used when the class is form associated (static formAssociated = true).');
+    });
+
+    it('should throw an error if formValue is used by a class that is not form associated, even if it has constraints', () => {
+      class ConstrainedNotFormAssociated extends attributesMixin(HTMLElement) {
+        static attributes = [{ idlName: 'value', formValue: true, required: true }];
+      }
+
+      expect(() => {
+        customElements.define('constrained-not-form-associated', ConstrainedNotFormAssociated);
+      }).toThrow('ConstrainedNotFormAssociated: The "formValue" property can only be used when the class is form associated (static formAssociated = true).');
+    });
+  });
+
+  describe('constraint validation', () => {
+    class ConstrainedComponent extends attributesMixin(HTMLElement) {
+      static attributes = [
+        { idlName: 'username', contentName: 'username', required: true, minLength: 3, maxLength: 8, pattern: '[a-z]+' },
+        { idlName: 'confirmUsername', validate: (value, element) => value === element.username ? '' : 'The usernames do not match.' },
+        { idlName: 'accept', type: 'boolean', required: true }
+      ];
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+      }
+    }
+
+    class ConstrainedFormComponent extends attributesMixin(HTMLElement) {
+      static formAssociated = true;
+      static attributes = [
+        { idlName: 'value', formValue: true, required: true, pattern: /^\d+$/ }
+      ];
+    }
+
+    customElements.define('constrained-component', ConstrainedComponent);
+    customElements.define('constrained-form-component', ConstrainedFormComponent);
+
+    it('should compute the validity of the element from the constraints of its attributes', () => {
+      const constrainedComponent = document.createElement('constrained-component');
+
+      expect(constrainedComponent.validity).toEqual(expect.objectContaining({ valid: false, valueMissing: true, customError: true }));
+      expect(constrainedComponent.validationMessage).toEqual('Please fill in this field.');
+
+      constrainedComponent.username = 'ab';
+      constrainedComponent.accept = true;
+
+      expect(constrainedComponent.validity).toEqual(expect.objectContaining({ valid: false, valueMissing: false, tooShort: true, customError: true }));
+      expect(constrainedComponent.validationMessage).toEqual('Please use at least 3 characters (you are currently using 2 characters).');
+
+      constrainedComponent.setAttribute('username', 'ABCDEFGHI');
+
+      expect(constrainedComponent.validity).toEqual(expect.objectContaining({ valid: false, tooShort: false, tooLong: true, patternMismatch: true }));
+
+      constrainedComponent.username = 'abc';
+
+      expect(constrainedComponent.validity).toEqual(expect.objectContaining({ valid: false, tooLong: false, patternMismatch: false, customError: true }));
+      expect(constrainedComponent.validationMessage).toEqual('The usernames do not match.');
+
+      constrainedComponent.confirmUsername = 'abc';
+
+      expect(constrainedComponent.validity.valid).toEqual(true);
+      expect(constrainedComponent.validationMessage).toEqual('');
+    });
+
+    it('should fire an invalid event from checkValidity() and reportValidity() if the element is invalid', () => {
+      const constrainedComponent = document.createElement('constrained-component');
+      const invalidEventSpy = jest.fn();
+
+      constrainedComponent.addEventListener('invalid', invalidEventSpy);
+
+      expect(constrainedComponent.checkValidity()).toEqual(false);
+      expect(constrainedComponent.reportValidity()).toEqual(false);
+      expect(invalidEventSpy).toHaveBeenCalledTimes(2);
+
+      constrainedComponent.username = 'abc';
+      constrainedComponent.confirmUsername = 'abc';
+      constrainedComponent.accept = true;
+
+      expect(constrainedComponent.checkValidity()).toEqual(true);
+      expect(invalidEventSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report the validity to ElementInternals', async () => {
+      HTMLElement.prototype.attachInternals = function () {
+        this.internalsMock = { setFormValue: jest.fn(), setValidity: jest.fn() };
+
+        return this.internalsMock;
+      };
+
+      const constrainedFormComponent = document.createElement('constrained-form-component');
+
+      await Promise.resolve();
+
+      expect(constrainedFormComponent.internalsMock.setValidity).toHaveBeenLastCalledWith({ valueMissing: true }, 'Please fill in this field.');
+
+      constrainedFormComponent.value = 'abc';
+
+      expect(constrainedFormComponent.internalsMock.setValidity).toHaveBeenLastCalledWith({ patternMismatch: true }, 'Please match the requested format.');
+
+      constrainedFormComponent.value = 123;
+
+      expect(constrainedFormComponent.internalsMock.setValidity).toHaveBeenLastCalledWith({}, '');
+
+      delete HTMLElement.prototype.attachInternals;
+    });
+  });
+
+  describe('aria + state', () => {
+    class ToggleButton extends attributesMixin(HTMLElement) {
+      static attributes = [
+        { idlName: 'pressed', contentName: 'pressed', type: 'boolean', aria: 'ariaPressed', state: 'pressed' },
+        { idlName: 'level', type: 'integer', aria: 'ariaLevel' }
+      ];
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+      }
+    }
+
+    customElements.define('toggle-button', ToggleButton);
+
+    afterEach(() => {
+      delete HTMLElement.prototype.attachInternals;
+    });
+
+    it('should reflect attributes to the ARIA properties and custom states of ElementInternals', async () => {
+      HTMLElement.prototype.attachInternals = function () {
+        this.internalsMock = { states: new Set() };
+
+        return this.internalsMock;
+      };
+
+      const toggleButton = document.createElement('toggle-button');
+
+      await Promise.resolve();
+
+      expect(toggleButton.internalsMock.ariaPressed).toEqual('false');
+      expect(toggleButton.internalsMock.ariaLevel).toBeNull();
+      expect(toggleButton.internalsMock.states.has('pressed')).toEqual(false);
+
+      toggleButton.setAttribute('pressed', '');
+      toggleButton.level = 2;
+
+      expect(toggleButton.internalsMock.ariaPressed).toEqual('true');
+      expect(toggleButton.internalsMock.ariaLevel).toEqual('2');
+      expect(toggleButton.internalsMock.states.has('pressed')).toEqual(true);
+
+      toggleButton.pressed = false;
+
+      expect(toggleButton.internalsMock.ariaPressed).toEqual('false');
+      expect(toggleButton.internalsMock.states.has('pressed')).toEqual(false);
+      expect(toggleButton.hasAttribute('aria-pressed')).toEqual(false);
+    });
+
+    it('should reflect attributes to ARIA content attributes without ElementInternals', async () => {
+      const toggleButton = document.createElement('toggle-button');
+
+      await Promise.resolve();
+
+      expect(toggleButton.getAttribute('aria-pressed')).toEqual('false');
+      expect(toggleButton.hasAttribute('aria-level')).toEqual(false);
+
+      toggleButton.pressed = true;
+      toggleButton.level = 3;
+
+      expect(toggleButton.getAttribute('aria-pressed')).toEqual('true');
+      expect(toggleButton.getAttribute('aria-level')).toEqual('3');
+
+      toggleButton.level = null;
+
+      expect(toggleButton.hasAttribute('aria-level')).toEqual(false);
+    });
+
+    it('should give sub classes the ElementInternals it attached', () => {
+      class RoleToggleButton extends ToggleButton {
+        constructor() {
+          super();
+          this.internals = this.attachInternals();
+          this.internals.role = 'button';
+        }
+      }
+
+      customElements.define('role-toggle-button', RoleToggleButton);
+
+      const attachInternalsSpy = jest.fn(() => ({ states: new Set() }));
+
+      HTMLElement.prototype.attachInternals = attachInternalsSpy;
+
+      const roleToggleButton = document.createElement('role-toggle-button');
+
+      expect(attachInternalsSpy).toHaveBeenCalledTimes(1);
+      expect(roleToggleButton.internals).toBe(attachInternalsSpy.mock.results[0].value);
+      expect(roleToggleButton.elementInternals).toBe(roleToggleButton.internals);
+      expect(roleToggleButton.elementInternals.role).toEqual('button');
+
+      roleToggleButton.attachInternals();
+
+      expect(attachInternalsSpy).toHaveBeenCalledTimes(2); // So it throws, like attaching ElementInternals twice does.
+    });
+
+    it('should use the ElementInternals a sub class attached', () => {
+      class ConstrainedButton extends attributesMixin(HTMLElement) {
+        static formAssociated = true;
+        static attributes = [
+          { idlName: 'label', contentName: 'label', required: true }
+        ];
+        constructor() {
+          super();
+          this.attachInternals();
+        }
+      }
+
+      customElements.define('constrained-button', ConstrainedButton);
+
+      HTMLElement.prototype.attachInternals = () => ({ setValidity: jest.fn() });
+
+      const constrainedButton = document.createElement('constrained-button');
+
+      constrainedButton.label = 'OK';
+
+      expect(constrainedButton.elementInternals.setValidity).toHaveBeenLastCalledWith({}, '');
+    });
+
+    it('should not use the ElementInternals for constraint validation if the element is not form associated', async () => {
+      class RequiredToggleButton extends attributesMixin(HTMLElement) {
+        static attributes = [
+          { idlName: 'label', contentName: 'label', required: true, aria: 'ariaLabel' }
+        ];
+        attributeChangedCallback(attributeName, oldValue, newValue) {
+          super.attributeChangedCallback(attributeName, oldValue, newValue);
+        }
+      }
+
+      customElements.define('required-toggle-button', RequiredToggleButton);
+
+      const notSupported = () => {
+        throw new DOMException('The target element is not a form-associated custom element.', 'NotSupportedError');
+      };
+
+      HTMLElement.prototype.attachInternals = () => {
+        return Object.defineProperties({ states: new Set(), setValidity: notSupported, checkValidity: notSupported, reportValidity: notSupported }, {
+          validity: { get: notSupported },
+          validationMessage: { get: notSupported }
+        });
+      };
+
+      const requiredToggleButton = document.createElement('required-toggle-button');
+
+      await Promise.resolve();
+
+      expect(requiredToggleButton.validity.valueMissing).toEqual(true);
+      expect(requiredToggleButton.checkValidity()).toEqual(false);
+
+      requiredToggleButton.setAttribute('label', 'OK');
+
+      expect(requiredToggleButton.elementInternals.ariaLabel).toEqual('OK');
+      expect(requiredToggleButton.validity.valid).toEqual(true);
+      expect(requiredToggleButton.validationMessage).toEqual('');
+      expect(requiredToggleButton.reportValidity()).toEqual(true);
+    });
+
+    it('should not attach ElementInternals to customized built-in elements', async () => {
+      class ToggleButtonElement extends attributesMixin(HTMLButtonElement) {
+        static attributes = [
+          { idlName: 'pressed', contentName: 'pressed', type: 'boolean', aria: 'ariaPressed' }
+        ];
+        attributeChangedCallback(attributeName, oldValue, newValue) {
+          super.attributeChangedCallback(attributeName, oldValue, newValue);
+        }
+      }
+
+      customElements.define('toggle-button-element', ToggleButtonElement, { extends: 'button' });
+
+      const attachInternalsSpy = jest.fn(() => {
+        throw new DOMException('Cannot attach ElementInternals to a customized built-in element.', 'NotSupportedError');
+      });
+
+      HTMLElement.prototype.attachInternals = attachInternalsSpy;
+
+      const toggleButtonElement = document.createElement('button', { is: 'toggle-button-element' });
+
+      await Promise.resolve();
+
+      expect(attachInternalsSpy).not.toHaveBeenCalled();
+      expect(toggleButtonElement.elementInternals).toBeNull();
+      expect(toggleButtonElement.getAttribute('aria-pressed')).toEqual('false');
+    });
+  });
+
+  describe('forwardTo', () => {
+    class SearchField extends attributesMixin(HTMLElement) {
+      static attributes = [
+        { idlName: 'placeholder', contentName: 'placeholder', forwardTo: 'input' },
+        { idlName: 'disabled', contentName: 'disabled', type: 'boolean', forwardTo: 'input, button' },
+        { contentName: 'aria-label', forwardTo: '::part(field)' }
+      ];
+      constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.render();
+      }
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+      }
+      render() {
+        this.shadowRoot.innerHTML = '<input part="field"><button>Search</button>';
+      }
+    }
+
+    customElements.define('search-field', SearchField);
+
+    let searchField;
+    beforeEach(() => {
+      searchField = document.createElement('search-field');
+      searchField.setAttribute('placeholder', 'Search');
+    });
+
+    it('should forward the Content Attributes to the matching elements in the shadow root', () => {
+      const input = searchField.shadowRoot.querySelector('input');
+      const button = searchField.shadowRoot.querySelector('button');
+
+      expect(input.getAttribute('placeholder')).toEqual('Search');
+
+      searchField.disabled = true;
+      searchField.setAttribute('aria-label', 'Search the site');
+
+      expect(input.hasAttribute('disabled')).toEqual(true);
+      expect(button.hasAttribute('disabled')).toEqual(true);
+      expect(input.getAttribute('aria-label')).toEqual('Search the site');
+      expect(button.hasAttribute('aria-label')).toEqual(false);
+
+      searchField.disabled = false;
+      searchField.removeAttribute('placeholder');
+
+      expect(input.hasAttribute('disabled')).toEqual(false);
+      expect(button.hasAttribute('disabled')).toEqual(false);
+      expect(input.hasAttribute('placeholder')).toEqual(false);
+    });
+
+    it('should forward the Content Attributes again when the shadow root is re-rendered', async () => {
+      await Promise.resolve();
+
+      searchField.render();
+
+      await Promise.resolve();
+
+      expect(searchField.shadowRoot.querySelector('input').getAttribute('placeholder')).toEqual('Search');
+    });
+
+    it('should forward the Content Attributes to a shadow root created when the element is connected', async () => {
+      class ConnectedSearchField extends attributesMixin(HTMLElement) {
+        static attributes = [
+          { idlName: 'placeholder', contentName: 'placeholder', forwardTo: 'input' }
+        ];
+        connectedCallback() {
+          super.connectedCallback();
+          this.attachShadow({ mode: 'open' }).innerHTML = '<input>';
+        }
+        attributeChangedCallback(attributeName, oldValue, newValue) {
+          super.attributeChangedCallback(attributeName, oldValue, newValue);
+        }
+      }
+
+      customElements.define('connected-search-field', ConnectedSearchField);
+
+      const connectedSearchField = document.createElement('connected-search-field');
+
+      connectedSearchField.setAttribute('placeholder', 'Search');
+      await Promise.resolve();
+      document.body.append(connectedSearchField);
+      await Promise.resolve();
+
+      expect(connectedSearchField.shadowRoot.querySelector('input').getAttribute('placeholder')).toEqual('Search');
+
+      connectedSearchField.shadowRoot.innerHTML = '<input>';
+      await Promise.resolve();
+
+      expect(connectedSearchField.shadowRoot.querySelector('input').getAttribute('placeholder')).toEqual('Search');
+
+      connectedSearchField.remove();
+    });
+  });
+
+  describe('computed attributes', () => {
+    class TodoList extends attributesMixin(HTMLElement) {
+      static attributes = [
+        { idlName: 'items', contentName: 'items', type: 'array', defaultValue: [] },
+        { idlName: 'filter', type: 'string' },
+        { idlName: 'isEmpty', readonly: true, compute: (element) => !element.items.length, dependsOn: ['items'], event: true },
+        { idlName: 'visibleItems', compute() { return this.items.filter((item) => item.includes(this.filter)); }, dependsOn: ['items', 'filter'], hasChanged: (newValue, oldValue) => String(newValue) !== String(oldValue) },
+        { idlName: 'summary', compute: (element) => `${element.visibleItems.length} of ${element.items.length}`, dependsOn: ['visibleItems'] }
+      ];
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        this.attributeChangedCallbackSpy(attributeName, oldValue, newValue);
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+      }
+      attributeChangedCallbackSpy(_attributeName, _oldValue, _newValue) {}
+    }
+
+    customElements.define('todo-list', TodoList);
+
+    let todoList;
+    beforeEach(async () => {
+      todoList = document.createElement('todo-list');
+      await Promise.resolve();
+    });
+
+    it('should return the computed value and ignore sets', () => {
+      expect(todoList.isEmpty).toEqual(true);
+      expect(todoList.summary).toEqual('0 of 0');
+
+      todoList.isEmpty = false;
+
+      expect(todoList.isEmpty).toEqual(true);
+    });
+
+    it('should notify the changes of computed attributes when their dependencies change', () => {
+      const attributeChangedCallbackSpy = jest.spyOn(todoList, 'attributeChangedCallbackSpy');
+      const isEmptyChangedSpy = jest.fn();
+
+      todoList.addEventListener('isEmpty-changed', isEmptyChangedSpy);
+      todoList.items = ['apples', 'bananas'];
+      todoList.filter = 'app';
+      todoList.filter = 'ppl'; // visibleItems does not change, so neither does summary.
+
+      expect(attributeChangedCallbackSpy.mock.calls).toEqual([
+        ['items', null, '["apples","bananas"]'],
+        ['isEmpty', true, false],
+        ['visibleItems', [], ['apples', 'bananas']],
+        ['summary', '0 of 0', '2 of 2'],
+        ['filter', undefined, 'app'],
+        ['visibleItems', ['apples', 'bananas'], ['apples']],
+        ['summary', '2 of 2', '1 of 2'],
+        ['filter', 'app', 'ppl']
+      ]);
+      expect(isEmptyChangedSpy).toHaveBeenCalledTimes(1);
+      expect(isEmptyChangedSpy.mock.calls[0][0].detail).toEqual({ name: 'isEmpty', oldValue: true, newValue: false });
+    });
+
+    it('should throw an error if a dependency is not an attribute', () => {
+      class BrokenTodoList extends attributesMixin(HTMLElement) {
+        static attributes = [
+          { idlName: 'isEmpty', compute: () => true, dependsOn: ['items'] }
+        ];
+      }
+
+      expect(() => {
+        customElements.define('broken-todo-list', BrokenTodoList);
+      }).toThrow('BrokenTodoList: The dependency "items" of "isEmpty" is not an attribute.');
+    });
+  });
+
+  describe('aliases + deprecated', () => {
+    class DesignButton extends attributesMixin(HTMLElement) {
+      static attributes = [
+        { idlName: 'variant', contentName: 'variant', aliases: ['kind', 'button-type', 'buttonType'] },
+        { idlName: 'flat', contentName: 'flat', type: 'boolean', deprecated: 'Use variant="text" instead.' }
+      ];
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+      }
+    }
+
+    customElements.define('design-button', DesignButton);
+
+    let designButton;
+    let warnSpy;
+    beforeEach(() => {
+      designButton = document.createElement('design-button');
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => {
+      warnSpy.mockRestore();
+    });
+
+    it('should observe the Content Attribute aliases', () => {
+      expect(DesignButton.observedAttributes).toEqual(['variant', 'kind', 'button-type', 'flat']);
+    });
+
+    it('should route the aliases to the attribute and warn once per class', () => {
+      designButton.setAttribute('button-type', 'primary');
+
+      expect(designButton.getAttribute('variant')).toEqual('primary');
+
+      designButton.setAttribute('button-type', 'secondary');
+
+      expect(designButton.getAttribute('variant')).toEqual('secondary');
+
+      designButton.removeAttribute('variant');
+
+      expect(designButton.hasAttribute('variant')).toEqual(false);
+
+      designButton.buttonType = 'secondary';
+
+      expect(designButton.variant).toEqual('secondary');
+      expect(designButton.kind).toEqual('secondary');
+
+      document.createElement('design-button').setAttribute('button-type', 'primary');
+
+      expect(warnSpy.mock.calls).toEqual([
+        ['DesignButton: The "button-type" attribute is deprecated. Use "variant" instead.'],
+        ['DesignButton: The "buttonType" property is deprecated. Use "variant" instead.'],
+        ['DesignButton: The "kind" property is deprecated. Use "variant" instead.']
+      ]);
+    });
+
+    it('should not override or remove the attribute through its aliases', () => {
+      document.body.innerHTML = '<design-button variant="primary" kind="secondary"></design-button>';
+
+      const parsedDesignButton = document.body.firstElementChild;
+
+      expect(parsedDesignButton.variant).toEqual('primary');
+
+      parsedDesignButton.setAttribute('kind', 'text');
+
+      expect(parsedDesignButton.variant).toEqual('primary');
+
+      parsedDesignButton.removeAttribute('kind');
+
+      expect(parsedDesignButton.variant).toEqual('primary');
+
+      designButton.setAttribute('kind', 'text');
+      designButton.removeAttribute('kind');
+
+      expect(designButton.variant).toEqual('text');
+
+      document.body.innerHTML = '';
+    });
+
+    it('should warn once per class when a deprecated attribute is set', () => {
+      designButton.flat = true;
+      designButton.removeAttribute('flat');
+
+      expect(warnSpy.mock.calls).toEqual([
+        ['DesignButton: The "flat" attribute is deprecated. Use variant="text" instead.']
+      ]);
+    });
+  });
+
+  describe('change handlers', () => {
+    const countChangedSpy = jest.fn();
+
+    class ChangeHandlerComponent extends attributesMixin(HTMLElement) {
+      static attributes = [
+        { idlName: 'count', contentName: 'count', type: 'integer', defaultValue: 1, changed: countChangedSpy },
+        { idlName: 'open', type: 'boolean', changed: 'openChanged' },
+        { idlName: 'config', contentName: 'config', type: 'json', changed: 'configChanged' },
+        { idlName: 'features', contentName: 'features', type: 'tokens', changed: 'featuresChanged' },
+        { contentName: 'data-theme', changed: 'themeChanged' },
+        { idlName: 'missing', changed: 'missingChanged' }
+      ];
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+      }
+      openChanged(_newValue, _oldValue) {}
+      configChanged(_newValue, _oldValue) {}
+      featuresChanged(_newValue, _oldValue) {}
+      themeChanged(_newValue, _oldValue) {}
+    }
+
+    customElements.define('change-handler-component', ChangeHandlerComponent);
+
+    let changeHandlerComponent;
+    beforeEach(() => {
+      countChangedSpy.mockClear();
+      changeHandlerComponent = document.createElement('change-handler-component');
+    });
+
+    it('should call the changed function with the element and the typed values', () => {
+      changeHandlerComponent.count = 5;
+      changeHandlerComponent.setAttribute('count', '7');
+      changeHandlerComponent.removeAttribute('count');
+
+      expect(countChangedSpy.mock.calls).toEqual([[5, 1], [7, 5], [1, 7]]);
+      expect(countChangedSpy.mock.instances).toEqual([changeHandlerComponent, changeHandlerComponent, changeHandlerComponent]);
+    });
+
+    it('should call the changed method with the typed values', () => {
+      const openChangedSpy = jest.spyOn(changeHandlerComponent, 'openChanged');
+      const configChangedSpy = jest.spyOn(changeHandlerComponent, 'configChanged');
+      const featuresChangedSpy = jest.spyOn(changeHandlerComponent, 'featuresChanged');
+      const themeChangedSpy = jest.spyOn(changeHandlerComponent, 'themeChanged');
+
+      changeHandlerComponent.open = 1;
+      changeHandlerComponent.config = { a: 1 };
+      changeHandlerComponent.setAttribute('config', '{"a":2}');
+      changeHandlerComponent.features.add('a', 'b');
+      changeHandlerComponent.setAttribute('data-theme', 'dark');
+
+      expect(openChangedSpy).toHaveBeenCalledWith(true, false);
+      expect(configChangedSpy.mock.calls).toEqual([[{ a: 1 }, null], [{ a: 2 }, { a: 1 }]]);
+      expect(featuresChangedSpy).toHaveBeenCalledWith('a b', null);
+      expect(themeChangedSpy).toHaveBeenCalledWith('dark', null);
+    });
+
+    it('should throw an error if the changed method does not exist', () => {
+      expect(() => {
+        changeHandlerComponent.missing = 'abc';
+      }).toThrow('ChangeHandlerComponent: The changed handler "missingChanged" of "missing" is not a method of the element.');
+    });
+  });
+
+  describe('change detection', () => {
+    class ChangeDetectionComponent extends attributesMixin(HTMLElement) {
+      static attributes = [
+        { idlName: 'label', changed: 'labelChanged' },
+        { idlName: 'items', type: 'array', changed: 'itemsChanged' },
+        { idlName: 'variant', contentName: 'variant', changed: 'variantChanged' },
+        { idlName: 'query', type: 'string', hasChanged: (newValue, oldValue) => newValue.trim() !== oldValue.trim(), changed: 'queryChanged' }
+      ];
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+        this.attributeChangedCallbackSpy(attributeName, oldValue, newValue);
+      }
+      attributeChangedCallbackSpy(_attributeName, _oldValue, _newValue) {}
+      labelChanged(_newValue, _oldValue) {}
+      itemsChanged(_newValue, _oldValue) {}
+      variantChanged(_newValue, _oldValue) {}
+      queryChanged(_newValue, _oldValue) {}
+    }
+
+    customElements.define('change-detection-component', ChangeDetectionComponent);
+
+    let changeDetectionComponent;
+    beforeEach(() => {
+      changeDetectionComponent = document.createElement('change-detection-component');
+    });
+
+    it('should not notify changes when a non-reflecting IDL Attribute is set to its current value', () => {
+      const attributeChangedCallbackSpy = jest.spyOn(changeDetectionComponent, 'attributeChangedCallbackSpy');
+      const labelChangedSpy = jest.spyOn(changeDetectionComponent, 'labelChanged');
+      const itemsChangedSpy = jest.spyOn(changeDetectionComponent, 'itemsChanged');
+
+      changeDetectionComponent.label = 'abc';
+      changeDetectionComponent.label = 'abc';
+      changeDetectionComponent.items = ['a'];
+      changeDetectionComponent.items = ['a'];
+
+      expect(attributeChangedCallbackSpy.mock.calls).toEqual([
+        ['label', undefined, 'abc'],
+        ['items', undefined, '["a"]']
+      ]);
+      expect(labelChangedSpy).toHaveBeenCalledTimes(1);
+      expect(itemsChangedSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not call the changed handler when a Content Attribute is set to its current value', () => {
+      const variantChangedSpy = jest.spyOn(changeDetectionComponent, 'variantChanged');
+
+      changeDetectionComponent.setAttribute('variant', 'primary');
+      changeDetectionComponent.variant = 'primary';
+
+      expect(variantChangedSpy.mock.calls).toEqual([['primary', '']]);
+    });
+
+    it('should use the hasChanged function to decide whether the attribute has changed', () => {
+      const attributeChangedCallbackSpy = jest.spyOn(changeDetectionComponent, 'attributeChangedCallbackSpy');
+      const queryChangedSpy = jest.spyOn(changeDetectionComponent, 'queryChanged');
+
+      changeDetectionComponent.query = 'abc';
+      changeDetectionComponent.query = ' abc ';
+
+      expect(changeDetectionComponent.query).toEqual(' abc ');
+      expect(attributeChangedCallbackSpy).toHaveBeenCalledTimes(1);
+      expect(queryChangedSpy.mock.calls).toEqual([['abc', '']]);
+    });
+  });
+
+  describe('change events', () => {
+    class EventComponent extends attributesMixin(HTMLElement) {
+      static attributes = [
+        { idlName: 'open', contentName: 'open', type: 'boolean', event: true },
+        { idlName: 'items', type: 'array', defaultValue: [], event: 'itemschange' },
+        { contentName: 'data-theme', event: true }
+      ];
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+      }
+    }
+
+    customElements.define('event-component', EventComponent);
+
+    let eventComponent;
+    let events;
+    const listener = (event) => {
+      events.push({ type: event.type, bubbles: event.bubbles, composed: event.composed, detail: event.detail });
+    };
+    beforeEach(() => {
+      events = [];
+      eventComponent = document.createElement('event-component');
+      document.body.append(eventComponent);
+      ['open-changed', 'itemschange', 'data-theme-changed'].forEach((type) => {
+        document.addEventListener(type, listener);
+      });
+    });
+    afterEach(() => {
+      ['open-changed', 'itemschange', 'data-theme-changed'].forEach((type) => {
+        document.removeEventListener(type, listener);
+      });
+      eventComponent.remove();
+    });
+
+    it('should dispatch a bubbling and composed event when the attribute changes through the IDL Attribute or the Content Attribute', () => {
+      eventComponent.open = true;
+      eventComponent.removeAttribute('open');
+      eventComponent.items = ['a'];
+      eventComponent.setAttribute('data-theme', 'dark');
+
+      expect(events).toEqual([
+        { type: 'open-changed', bubbles: true, composed: true, detail: { name: 'open', oldValue: false, newValue: true } },
+        { type: 'open-changed', bubbles: true, composed: true, detail: { name: 'open', oldValue: true, newValue: false } },
+        { type: 'itemschange', bubbles: true, composed: true, detail: { name: 'items', oldValue: [], newValue: ['a'] } },
+        { type: 'data-theme-changed', bubbles: true, composed: true, detail: { name: 'data-theme', oldValue: null, newValue: 'dark' } }
+      ]);
+    });
+  });
+
+  describe('batched updates', () => {
+    class BatchedComponent extends attributesMixin(HTMLElement) {
+      static batchedUpdates = true;
+      static attributes = [
+        { idlName: 'count', contentName: 'count', type: 'integer', defaultValue: 1 },
+        { idlName: 'items', type: 'array', defaultValue: [] },
+        { contentName: 'data-theme' }
+      ];
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+        this.attributeChangedCallbackSpy(attributeName, oldValue, newValue);
+      }
+      attributeChangedCallbackSpy(_attributeName, _oldValue, _newValue) {}
+      updated(changedAttributes) {
+        this.updatedSpy(new Map(changedAttributes));
+        if (changedAttributes.has('items') && this.count < this.items.length) {
+          this.count = this.items.length;
+        }
+      }
+      updatedSpy(_changedAttributes) {}
+    }
+
+    customElements.define('batched-component', BatchedComponent);
+
+    let batchedComponent;
+    beforeEach(() => {
+      batchedComponent = document.createElement('batched-component');
+    });
+
+    it('should call updated() once with the old (typed) values of the changed attributes', async () => {
+      const updatedSpy = jest.spyOn(batchedComponent, 'updatedSpy');
+      const attributeChangedCallbackSpy = jest.spyOn(batchedComponent, 'attributeChangedCallbackSpy');
+
+      batchedComponent.count = 2;
+      batchedComponent.count = 3;
+      batchedComponent.setAttribute('data-theme', 'dark');
+
+      expect(updatedSpy).not.toHaveBeenCalled();
+      expect(attributeChangedCallbackSpy.mock.calls).toEqual([
+        ['count', null, '2'],
+        ['count', '2', '3'],
+        ['data-theme', null, 'dark']
+      ]);
+
+      await batchedComponent.updateComplete;
+
+      expect(updatedSpy).toHaveBeenCalledTimes(1);
+      expect(updatedSpy).toHaveBeenCalledWith(new Map([['count', 1], ['data-theme', null]]));
+
+      batchedComponent.count = 4;
+      await batchedComponent.updateComplete;
+
+      expect(updatedSpy).toHaveBeenCalledTimes(2);
+      expect(updatedSpy).toHaveBeenLastCalledWith(new Map([['count', 3]]));
+    });
+
+    it('should wait for updates caused by updated() before resolving updateComplete', async () => {
+      const updatedSpy = jest.spyOn(batchedComponent, 'updatedSpy');
+
+      batchedComponent.items = ['a', 'b', 'c'];
+      await batchedComponent.updateComplete;
+
+      expect(updatedSpy.mock.calls).toEqual([
+        [new Map([['items', []]])],
+        [new Map([['count', 1]])]
+      ]);
+      expect(batchedComponent.count).toEqual(3);
+    });
+
+    it('should resolve updateComplete immediately if no update is pending', async () => {
+      await expect(batchedComponent.updateComplete).resolves.toBeUndefined();
+    });
+
+    it('should not call updated() unless the sub class opts in', async () => {
+      const updatedSpy = jest.spyOn(webComponent, 'updated');
+
+      webComponent.attributeX = 'abc';
+      await webComponent.updateComplete;
+      await Promise.resolve();
+
+      expect(updatedSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('persist', () => {
+    class CollapsiblePanel extends attributesMixin(HTMLElement) {
+      static attributes = [
+        { idlName: 'open', contentName: 'open', type: 'boolean', persist: 'local' },
+        { idlName: 'height', type: 'unsigned', defaultValue: 100, persist: { storage: 'session', prefix: 'app:' } },
+        { contentName: 'data-theme', persist: 'local' }
+      ];
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+      }
+      connectedCallback() {
+        super.connectedCallback();
+      }
+    }
+
+    customElements.define('collapsible-panel', CollapsiblePanel);
+
+    let collapsiblePanel;
+    beforeEach(() => {
+      collapsiblePanel = document.createElement('collapsible-panel');
+      collapsiblePanel.id = 'filters';
+    });
+    afterEach(() => {
+      collapsiblePanel.remove();
+      localStorage.clear();
+      sessionStorage.clear();
+    });
+
+    it('should persist the attributes once the element is connected', () => {
+      collapsiblePanel.open = true;
+
+      expect(localStorage.getItem('collapsible-panel#filters:open')).toBeNull();
+
+      document.body.append(collapsiblePanel);
+      collapsiblePanel.open = false;
+      collapsiblePanel.open = true;
+      collapsiblePanel.height = 250;
+      collapsiblePanel.setAttribute('data-theme', 'dark');
+
+      expect(localStorage.getItem('collapsible-panel#filters:open')).toEqual('""');
+      expect(sessionStorage.getItem('app:collapsible-panel#filters:height')).toEqual('250');
+      expect(localStorage.getItem('collapsible-panel#filters:data-theme')).toEqual('"dark"');
+
+      collapsiblePanel.open = false;
+
+      expect(localStorage.getItem('collapsible-panel#filters:open')).toEqual('null');
+    });
+
+    it('should restore the attributes when the element is connected', () => {
+      localStorage.setItem('collapsible-panel#filters:open', '""');
+      sessionStorage.setItem('app:collapsible-panel#filters:height', '250');
+
+      expect(collapsiblePanel.height).toEqual(100);
+
+      document.body.append(collapsiblePanel);
+
+      expect(collapsiblePanel.open).toEqual(true);
+      expect(collapsiblePanel.height).toEqual(250);
+      expect(collapsiblePanel.hasAttribute('data-theme')).toEqual(false);
+    });
+
+    it('should remove the attributes that were removed when they were persisted, even if they are in the HTML of the element', () => {
+      localStorage.setItem('collapsible-panel#filters:open', 'null');
+      localStorage.setItem('collapsible-panel#filters:data-theme', 'null');
+      collapsiblePanel.setAttribute('open', '');
+      collapsiblePanel.setAttribute('data-theme', 'dark');
+
+      document.body.append(collapsiblePanel);
+
+      expect(collapsiblePanel.open).toEqual(false);
+      expect(collapsiblePanel.hasAttribute('open')).toEqual(false);
+      expect(collapsiblePanel.hasAttribute('data-theme')).toEqual(false);
+    });
+
+    it('should upgrade the IDL Attributes set before a connected element was upgraded, before restoring the attributes', () => {
+      class UpgradedPanel extends attributesMixin(HTMLElement) {
+        static attributes = [
+          { idlName: 'open', contentName: 'open', type: 'boolean', persist: 'local' },
+          { idlName: 'height', type: 'unsigned', defaultValue: 100 }
+        ];
+        connectedCallback() {
+          super.connectedCallback();
+          this.connectedState = { open: this.open, height: this.height };
+        }
+      }
+
+      localStorage.setItem('upgraded-panel#filters:open', '""');
+      document.body.innerHTML = '<upgraded-panel id="filters"></upgraded-panel>';
+
+      const upgradedPanel = document.body.firstElementChild;
+
+      upgradedPanel.open = false;
+      upgradedPanel.height = '200';
+      customElements.define('upgraded-panel', UpgradedPanel);
+
+      expect(upgradedPanel.connectedState).toEqual({ open: true, height: 200 });
+      expect(Object.hasOwn(upgradedPanel, 'height')).toEqual(false);
+
+      upgradedPanel.remove();
+    });
+
+    it('should warn instead of throwing when storage fails', () => {
+      localStorage.setItem('collapsible-panel#filters:data-theme', '{');
+
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const setItemSpy = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+        throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+      });
+
+      document.body.append(collapsiblePanel);
+      collapsiblePanel.open = true;
+
+      expect(collapsiblePanel.open).toEqual(true);
+      expect(warnSpy.mock.calls.map(([message]) => message)).toEqual([
+        expect.stringMatching(/^CollapsiblePanel: The "data-theme" attribute could not be restored from localStorage/),
+        'CollapsiblePanel: The "open" attribute could not be persisted to localStorage (The quota has been exceeded.).'
+      ]);
+
+      setItemSpy.mockRestore();
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('urlParam', () => {
+    class TabList extends attributesMixin(HTMLElement) {
+      static attributes = [
+        { idlName: 'selectedIndex', contentName: 'selected-index', type: 'unsigned', urlParam: 'tab' },
+        { idlName: 'page', type: 'integer', defaultValue: 1, urlParam: { name: 'page', history: 'push' } },
+        { idlName: 'expanded', type: 'boolean', urlParam: { name: 'expanded', location: 'hash' } },
+        { contentName: 'filter', urlParam: { name: 'q', location: 'hash' } }
+      ];
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+      }
+      connectedCallback() {
+        super.connectedCallback();
+      }
+      disconnectedCallback() {
+        super.disconnectedCallback();
+      }
+    }
+
+    customElements.define('tab-list', TabList);
+
+    let tabList;
+    beforeEach(() => {
+      window.history.replaceState(null, '', '/');
+      tabList = document.createElement('tab-list');
+    });
+    afterEach(() => {
+      tabList.remove();
+    });
+
+    it('should set the attributes to the URL parameters when the element is connected', () => {
+      window.history.replaceState(null, '', '/?tab=2&page=3#expanded&q=a+b');
+      tabList.setAttribute('selected-index', '1');
+
+      document.body.append(tabList);
+
+      expect(tabList.selectedIndex).toEqual(2);
+      expect(tabList.page).toEqual(3);
+      expect(tabList.expanded).toEqual(true);
+      expect(tabList.getAttribute('filter')).toEqual('a b');
+    });
+
+    it('should keep the attributes whose URL parameter is missing when the element is connected', () => {
+      tabList.setAttribute('selected-index', '1');
+
+      document.body.append(tabList);
+
+      expect(tabList.selectedIndex).toEqual(1);
+      expect(window.location.search).toEqual('');
+    });
+
+    it('should update the URL when the attributes change', () => {
+      const historyLength = window.history.length;
+
+      document.body.append(tabList);
+      tabList.selectedIndex = 2;
+      tabList.expanded = true;
+      tabList.setAttribute('filter', 'a b');
+
+      expect(window.location.search).toEqual('?tab=2');
+      expect(window.location.hash).toEqual('#expanded=&q=a+b');
+      expect(window.history.length).toEqual(historyLength);
+
+      tabList.page = 2;
+      tabList.expanded = false;
+      tabList.removeAttribute('selected-index');
+
+      expect(window.location.search).toEqual('?page=2');
+      expect(window.location.hash).toEqual('#q=a+b');
+      expect(window.history.length).toEqual(historyLength + 1);
+    });
+
+    it('should update the attributes on popstate', () => {
+      document.body.append(tabList);
+      tabList.page = 2;
+      window.history.replaceState(null, '', '/?tab=1#q=b');
+      window.dispatchEvent(new PopStateEvent('popstate'));
+
+      expect(tabList.selectedIndex).toEqual(1);
+      expect(tabList.page).toEqual(1);
+      expect(tabList.getAttribute('filter')).toEqual('b');
+      expect(window.location.href).toEqual('http://localhost/?tab=1#q=b');
+    });
+
+    it('should stop syncing with the URL when the element is disconnected', () => {
+      document.body.append(tabList);
+      tabList.remove();
+      tabList.selectedIndex = 2;
+      window.history.replaceState(null, '', '/?page=3');
+      window.dispatchEvent(new PopStateEvent('popstate'));
+
+      expect(window.location.search).toEqual('?page=3');
+      expect(tabList.page).toEqual(1);
+    });
+  });
+
+  describe('attribute state', () => {
+    class DataTable extends attributesMixin(HTMLElement) {
+      static attributes = [
+        { idlName: 'columns', type: 'array', defaultValue: [] },
+        { idlName: 'sortBy', contentName: 'sort-by', changed: 'sortByChanged' },
+        { idlName: 'page', type: 'unsigned', defaultValue: 1, event: true },
+        { idlName: 'features', contentName: 'features', type: 'tokens' },
+        { idlName: 'isFirstPage', compute: (element) => element.page === 1, dependsOn: ['page'] },
+        { contentName: 'data-theme' }
+      ];
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        this.attributeChangedCallbackSpy(attributeName, oldValue, newValue);
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+      }
+      attributeChangedCallbackSpy(_attributeName, _oldValue, _newValue) {}
+      sortByChanged(_newValue, _oldValue) {}
+      updated(_changedAttributes) {}
+    }
+
+    customElements.define('data-table', DataTable);
+
+    let dataTable;
+    beforeEach(async () => {
+      dataTable = document.createElement('data-table');
+      await Promise.resolve();
+    });
+
+    it('should return the typed values of the IDL Attributes', () => {
+      dataTable.columns = ['name', 'date'];
+      dataTable.setAttribute('features', 'sort filter');
+
+      expect(dataTable.getAttributeState()).toEqual({
+        columns: ['name', 'date'],
+        sortBy: '',
+        page: 1,
+        features: 'sort filter',
+        isFirstPage: true
+      });
+      expect(JSON.parse(JSON.stringify(dataTable))).toEqual(dataTable.getAttributeState());
+    });
+
+    it('should set all the IDL Attributes and then call the updated() hook once with the changed attributes', () => {
+      const attributeChangedCallbackSpy = jest.spyOn(dataTable, 'attributeChangedCallbackSpy');
+      const sortByChangedSpy = jest.spyOn(dataTable, 'sortByChanged');
+      const updatedSpy = jest.spyOn(dataTable, 'updated').mockImplementation(function () {
+        expect(this.page).toEqual(3); // The whole new state is set.
+      });
+      const pageChangedSpy = jest.fn();
+
+      dataTable.addEventListener('page-changed', pageChangedSpy);
+      dataTable.setAttributeState({
+        columns: ['name'],
+        sortBy: 'name',
+        page: 3,
+        features: 'sort',
+        isFirstPage: true,
+        unknown: 'abc'
+      });
+
+      expect(dataTable.getAttributeState()).toEqual({
+        columns: ['name'],
+        sortBy: 'name',
+        page: 3,
+        features: 'sort',
+        isFirstPage: false
+      });
+      expect(updatedSpy).toHaveBeenCalledTimes(1);
+      expect(updatedSpy).toHaveBeenCalledWith(new Map([
+        ['sortBy', ''],
+        ['features', null],
+        ['columns', []],
+        ['page', 1],
+        ['isFirstPage', true]
+      ]));
+      expect(attributeChangedCallbackSpy.mock.calls).toEqual([
+        ['sort-by', null, 'name'], // Called by the browser as the Content Attributes are set.
+        ['features', null, 'sort']
+      ]);
+      expect(sortByChangedSpy).not.toHaveBeenCalled();
+      expect(pageChangedSpy).not.toHaveBeenCalled();
+
+      dataTable.setAttributeState({ page: 3 });
+
+      expect(updatedSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not call the updated() hook again in a microtask if the class opts in to batched updates', async () => {
+      class BatchedDataTable extends DataTable {
+        static batchedUpdates = true;
+      }
+
+      customElements.define('batched-data-table', BatchedDataTable);
+
+      const batchedDataTable = document.createElement('batched-data-table');
+      const updatedSpy = jest.spyOn(batchedDataTable, 'updated');
+
+      await Promise.resolve();
+      batchedDataTable.setAttributeState({ columns: ['name'], sortBy: 'name', page: 3 });
+      await batchedDataTable.updateComplete;
+
+      expect(updatedSpy).toHaveBeenCalledTimes(1);
+      expect(updatedSpy).toHaveBeenCalledWith(new Map([
+        ['sortBy', ''],
+        ['columns', []],
+        ['page', 1],
+        ['isFirstPage', true]
+      ]));
+    });
+  });
+
+  describe('devMode', () => {
+    class DevModeComponent extends attributesMixin(HTMLElement) {
+      static attributes = [
+        { idlName: 'size', contentName: 'size', type: 'integer' },
+        { idlName: 'variant', contentName: 'variant', type: 'enum', values: ['primary', 'secondary'], aliases: ['kind'] },
+        { idlName: 'options', type: 'json' },
+        { idlName: 'isLarge', readonly: true, compute: (element) => element.size > 10 },
+        { idlName: 'value', proxyTarget: 'input' }
+      ];
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+      }
+    }
+
+    customElements.define('dev-mode-component', DevModeComponent);
+
+    let warnSpy;
+    beforeEach(() => {
+      attributesMixin.devMode = true;
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => {
+      attributesMixin.devMode = false;
+      warnSpy.mockRestore();
+    });
+
+    it('should warn when an attribute that is not configured is set', async () => {
+      const devModeComponent = document.createElement('dev-mode-component');
+
+      devModeComponent.setAttribute('sise', '10');
+      devModeComponent.setAttribute('size', '10');
+      devModeComponent.setAttribute('id', 'a');
+      devModeComponent.setAttribute('data-test', 'a');
+      devModeComponent.setAttribute('aria-label', 'a');
+      devModeComponent.setAttribute('kind', 'primary');
+
+      await Promise.resolve();
+
+      expect(warnSpy.mock.calls.filter(([message]) => message.includes('not configured'))).toEqual([
+        ['DevModeComponent: The "sise" attribute is set, but it is not configured in the static attributes array.']
+      ]);
+    });
+
+    it('should warn when the value of an attribute cannot be parsed by its type', () => {
+      const devModeComponent = document.createElement('dev-mode-component');
+
+      devModeComponent.setAttribute('size', 'large');
+      devModeComponent.variant = 'tertiary';
+      devModeComponent.options = undefined;
+      devModeComponent.setAttribute('size', '12');
+
+      expect(warnSpy.mock.calls).toEqual([
+        ['DevModeComponent: The value "large" of "size" cannot be parsed as an integer.'],
+        ['DevModeComponent: The value "tertiary" of "variant" is not one of the keywords primary, secondary.']
+      ]);
+    });
+
+    it('should warn when a readonly attribute is set or a proxyTarget is not available', () => {
+      const devModeComponent = document.createElement('dev-mode-component');
+
+      devModeComponent.isLarge = true;
+      devModeComponent.value = 'abc';
+
+      expect(warnSpy.mock.calls).toEqual([
+        ['DevModeComponent: The "isLarge" attribute is readonly, so setting it has no effect.'],
+        ['DevModeComponent: The proxyTarget of "value" is not available, so its value is buffered until it is.']
+      ]);
+    });
+
+    it('should warn once per class when the attributeChangedCallback of the sub class does not call super', async () => {
+      class NoSuperDevModeComponent extends attributesMixin(HTMLElement) {
+        static attributes = [
+          { idlName: 'size', contentName: 'size', type: 'integer', event: true }
+        ];
+        attributeChangedCallback(_attributeName, _oldValue, _newValue) {}
+      }
+
+      customElements.define('no-super-dev-mode-component', NoSuperDevModeComponent);
+
+      const devModeComponent = document.createElement('dev-mode-component');
+      const noSuperDevModeComponents = [document.createElement('no-super-dev-mode-component'), document.createElement('no-super-dev-mode-component')];
+
+      devModeComponent.setAttribute('size', '10');
+      noSuperDevModeComponents.forEach((noSuperDevModeComponent) => {
+        noSuperDevModeComponent.setAttribute('size', '10');
+        noSuperDevModeComponent.setAttribute('id', 'a');
+      });
+
+      await Promise.resolve();
+
+      expect(warnSpy.mock.calls).toEqual([
+        ['NoSuperDevModeComponent: The attributeChangedCallback lifecycle callback does not call super.attributeChangedCallback(attributeName, oldValue, newValue), so changes to Content Attributes do not reach change handlers, change events, forwardTo, persist or urlParam.']
+      ]);
+    });
+
+    it('should not warn unless devMode is set', async () => {
+      attributesMixin.devMode = false;
+
+      const devModeComponent = document.createElement('dev-mode-component');
+
+      devModeComponent.setAttribute('sise', '10');
+      devModeComponent.setAttribute('size', 'large');
+      devModeComponent.isLarge = true;
+
+      await Promise.resolve();
+
+      expect(warnSpy).not.toHaveBeenCalled();
+    });
+  });
+
   describe('errors', () => {
     describe('constructor', () => {
       it('should throw an error if the Base parameter is not HTMLElement or does not extend from or inherit HTMLElement', () => {
@@ -92,66 +1647,353 @@ describe('attributesMixin', () => {
           class Test extends attributesMixin(A) {}
         }).toThrow('Base parameter must be HTMLElement or a class that extends from or inherits HTMLElement. Received A which is not an instance of HTMLElement.');
 
-        expect(() => {
-          // eslint-disable-next-line no-unused-vars
-          class Test extends attributesMixin(B) {}
-        }).toThrow('Base parameter must be HTMLElement or a class that extends from or inherits HTMLElement. Received B which is not an instance of HTMLElement.');
+        expect(() => {
+          // eslint-disable-next-line no-unused-vars
+          class Test extends attributesMixin(B) {}
+        }).toThrow('Base parameter must be HTMLElement or a class that extends from or inherits HTMLElement. Received B which is not an instance of HTMLElement.');
+
+        expect(() => {
+          // eslint-disable-next-line no-unused-vars
+          class Test extends attributesMixin(C) {}
+        }).toThrow('Base parameter must be HTMLElement or a class that extends from or inherits HTMLElement. Received C which is not an instance of HTMLElement.');
+      });
+    });
+
+    describe('customElements.define()', () => {
+      it('should throw an error if proxyTarget is set without idlName being set', () => {
+        class WebComponentErrorA extends attributesMixin(HTMLElement) {
+          static attributes =  [{ contentName: 'potato', proxyTarget: 'proxyTarget' }];
+          constructor() {
+            super();
+          }
+        }
+
+        expect(() => {
+          customElements.define('web-component-error-a', WebComponentErrorA);
+        }).toThrow('You must provide a value for "idlName" when using a proxyTarget.');
+      });
+
+      it('should throw an error if both contentName and proxyTarget are set', () => {
+        class WebComponentErrorB extends attributesMixin(HTMLElement) {
+          static attributes =  [{ idlName: 'potato', contentName: 'potato', proxyTarget: 'proxyTarget' }];
+          constructor() {
+            super();
+          }
+        }
+
+        expect(() => {
+          customElements.define('web-component-error-b', WebComponentErrorB);
+        }).toThrow('The "contentName" and "proxyTarget" properties cannot be used together.');
+      });
+
+      it('should throw an error if one of either proxyTarget or defaultValue is not set and readonly is set to `true`', () => {
+        class WebComponentErrorC extends attributesMixin(HTMLElement) {
+          static attributes =  [{ idlName: 'potato', readonly: true }];
+          constructor() {
+            super();
+          }
+        }
+
+        expect(() => {
+          customElements.define('web-component-error-c', WebComponentErrorC);
+        }).toThrow('You must provide a proxyTarget, defaultValue or compute function for readonly attributes.');
+      });
+
+      it('should list every problem in the error message', () => {
+        class WebComponentErrorD extends attributesMixin(HTMLElement) {
+          static attributes =  [
+            { idlName: 'potato', attributeType: 'number' },
+            { idlName: 'potato', type: 'float' }
+          ];
+          constructor() {
+            super();
+          }
+        }
+
+        expect(() => {
+          customElements.define('web-component-error-d', WebComponentErrorD);
+        }).toThrow(/Unknown property "attributeType"[\s\S]*The idlName "potato" is used by more than one attribute[\s\S]*Invalid type "float"/);
+      });
+    });
+  });
+
+  describe('attributesMixin.validate()', () => {
+    it('should return an empty array if the attribute configs are valid', () => {
+      expect(attributesMixin.validate(attributes)).toEqual([]);
+      expect(attributesMixin.validate([])).toEqual([]);
+    });
+
+    it('should return a problem if the attributes are not an array', () => {
+      expect(attributesMixin.validate({ idlName: 'potato' })).toEqual([
+        expect.objectContaining({ index: -1, code: 'invalid-attributes', property: 'attributes' })
+      ]);
+    });
+
+    it('should return a problem for each invalid attribute config', () => {
+      const problems = attributesMixin.validate([
+        null,
+        {},
+        { idlName: 'potato', attributeType: 'number' },
+        { idlName: 'potato', contentName: 'potato' },
+        { idlName: 'tomato', contentName: 'potato' },
+        { idlName: 'carrot', type: 'float' },
+        { idlName: 'turnip', contentName: 'turnip', readonly: true, defaultValue: 'abc' },
+        { contentName: 'parsnip', proxyTarget: 'proxyTarget' },
+        { idlName: 'swede', readonly: true }
+      ]);
+
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 0, code: 'invalid-config', property: null },
+        { index: 1, code: 'missing-name', property: null },
+        { index: 2, code: 'unknown-property', property: 'attributeType' },
+        { index: 3, code: 'duplicate-idl-name', property: 'idlName' },
+        { index: 4, code: 'duplicate-content-name', property: 'contentName' },
+        { index: 5, code: 'invalid-type', property: 'type' },
+        { index: 6, code: 'readonly-with-content-name', property: 'readonly' },
+        { index: 7, code: 'proxy-target-without-idl-name', property: 'proxyTarget' },
+        { index: 7, code: 'proxy-target-with-content-name', property: 'proxyTarget' },
+        { index: 8, code: 'readonly-without-value', property: 'readonly' }
+      ]);
+      expect(problems[2].message).toMatch(/^Unknown property "attributeType"\. Valid properties are idlName, contentName, proxyTarget, proxyKey, type, .+\. \(attributes\[2\]\)$/);
+    });
+
+    it('should return a problem for each invalid enum attribute config', () => {
+      const problems = attributesMixin.validate([
+        { idlName: 'size', type: 'enum' },
+        { idlName: 'variant', type: 'enum', values: ['primary', 2] },
+        { idlName: 'orientation', type: 'enum', values: ['horizontal', 'vertical'], defaultValue: 'Horizontal', invalidValueDefault: 'diagonal' },
+        { idlName: 'alignment', type: 'enum', values: ['start', 'end'], defaultValue: 'middle' },
+        { idlName: 'direction', values: ['ltr', 'rtl'] }
+      ]);
+
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 0, code: 'invalid-values', property: 'values' },
+        { index: 1, code: 'invalid-values', property: 'values' },
+        { index: 2, code: 'invalid-default-value', property: 'invalidValueDefault' },
+        { index: 3, code: 'invalid-default-value', property: 'defaultValue' },
+        { index: 4, code: 'enum-property-without-enum-type', property: 'values' }
+      ]);
+    });
+
+    it('should return a problem for each invalid numeric attribute config', () => {
+      const problems = attributesMixin.validate([
+        { idlName: 'a', type: 'number', min: '1', max: Infinity },
+        { idlName: 'b', type: 'integer', min: 10, max: 1, step: 0 },
+        { idlName: 'c', type: 'unsigned', min: -1 },
+        { idlName: 'd', max: 10 }
+      ]);
+
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 0, code: 'invalid-range', property: 'min' },
+        { index: 0, code: 'invalid-range', property: 'max' },
+        { index: 1, code: 'invalid-range', property: 'min' },
+        { index: 1, code: 'invalid-range', property: 'step' },
+        { index: 2, code: 'invalid-range', property: 'min' },
+        { index: 3, code: 'range-property-without-numeric-type', property: 'max' }
+      ]);
+    });
+
+    it('should return a problem for each invalid converter attribute config', () => {
+      const problems = attributesMixin.validate([
+        { idlName: 'a', fromAttribute: 'Date' },
+        { idlName: 'b', toAttribute: (value) => String(value), type: 'number' }
+      ]);
+
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 0, code: 'invalid-converter', property: 'fromAttribute' },
+        { index: 1, code: 'converter-with-type', property: 'type' }
+      ]);
+    });
+
+    it('should return a problem for each invalid json attribute config', () => {
+      const problems = attributesMixin.validate([
+        { idlName: 'a', type: 'json', onParseError: 'console.error' },
+        { idlName: 'b', onParseError: () => {} }
+      ]);
+
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 0, code: 'invalid-parse-error-handler', property: 'onParseError' },
+        { index: 1, code: 'parse-error-handler-without-json-type', property: 'onParseError' }
+      ]);
+    });
+
+    it('should return a problem for each invalid formValue attribute config', () => {
+      const problems = attributesMixin.validate([
+        { idlName: 'a', formValue: true },
+        { contentName: 'b', formValue: true }
+      ]);
+
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 1, code: 'form-value-without-idl-name', property: 'formValue' },
+        { index: 1, code: 'duplicate-form-value', property: 'formValue' }
+      ]);
+    });
+
+    it('should return a problem for each invalid constraint attribute config', () => {
+      const problems = attributesMixin.validate([
+        { contentName: 'a', required: true },
+        { idlName: 'b', required: 'yes', pattern: '[a-z' },
+        { idlName: 'c', minLength: -1, maxLength: 1.5 },
+        { idlName: 'd', minLength: 5, maxLength: 1, validate: 'validateD' }
+      ]);
+
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 0, code: 'constraint-without-idl-name', property: 'required' },
+        { index: 1, code: 'invalid-constraint', property: 'required' },
+        { index: 1, code: 'invalid-constraint', property: 'pattern' },
+        { index: 2, code: 'invalid-constraint', property: 'minLength' },
+        { index: 2, code: 'invalid-constraint', property: 'maxLength' },
+        { index: 3, code: 'invalid-constraint', property: 'minLength' },
+        { index: 3, code: 'invalid-constraint', property: 'validate' }
+      ]);
+    });
+
+    it('should return a problem for each invalid aria or state attribute config', () => {
+      const problems = attributesMixin.validate([
+        { contentName: 'a', aria: 'ariaPressed', state: 'pressed' },
+        { idlName: 'b', aria: 'aria-pressed', state: 'is pressed' }
+      ]);
+
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 0, code: 'aria-without-idl-name', property: 'aria' },
+        { index: 0, code: 'state-without-idl-name', property: 'state' },
+        { index: 1, code: 'invalid-aria', property: 'aria' },
+        { index: 1, code: 'invalid-state', property: 'state' }
+      ]);
+    });
+
+    it('should return a problem for each invalid changed handler', () => {
+      const problems = attributesMixin.validate([
+        { idlName: 'a', changed: 'onAChanged' },
+        { idlName: 'b', changed: () => {} },
+        { idlName: 'c', changed: '' },
+        { idlName: 'd', changed: true }
+      ]);
+
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 2, code: 'invalid-change-handler', property: 'changed' },
+        { index: 3, code: 'invalid-change-handler', property: 'changed' }
+      ]);
+    });
+
+    it('should return a problem for each invalid event', () => {
+      const problems = attributesMixin.validate([
+        { idlName: 'a', event: true },
+        { idlName: 'b', event: 'bchange' },
+        { idlName: 'c', event: '' },
+        { idlName: 'd', event: 1 }
+      ]);
+
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 2, code: 'invalid-event', property: 'event' },
+        { index: 3, code: 'invalid-event', property: 'event' }
+      ]);
+    });
+
+    it('should return a problem for each invalid hasChanged function', () => {
+      const problems = attributesMixin.validate([
+        { idlName: 'a', hasChanged: () => true },
+        { idlName: 'b', hasChanged: true }
+      ]);
+
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 1, code: 'invalid-has-changed', property: 'hasChanged' }
+      ]);
+    });
+
+    it('should return a problem for each invalid proxyTarget or proxyKey', () => {
+      const problems = attributesMixin.validate([
+        { idlName: 'a', proxyTarget: 'refs.input', proxyKey: 'value' },
+        { idlName: 'b', proxyTarget: (element) => element.input },
+        { idlName: 'c', proxyTarget: 'refs..input' },
+        { idlName: 'd', proxyKey: 'value' },
+        { idlName: 'e', proxyTarget: 'input', proxyKey: 1 }
+      ]);
+
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 2, code: 'invalid-proxy-target', property: 'proxyTarget' },
+        { index: 3, code: 'proxy-key-without-proxy-target', property: 'proxyKey' },
+        { index: 4, code: 'invalid-proxy-key', property: 'proxyKey' }
+      ]);
+    });
+
+    it('should return a problem for each invalid computed attribute config', () => {
+      const problems = attributesMixin.validate([
+        { idlName: 'a', readonly: true, compute: () => true, dependsOn: ['b'] },
+        { contentName: 'b', compute: true },
+        { idlName: 'c', compute: () => true, type: 'boolean' },
+        { idlName: 'd', dependsOn: 'a' }
+      ]);
 
-        expect(() => {
-          // eslint-disable-next-line no-unused-vars
-          class Test extends attributesMixin(C) {}
-        }).toThrow('Base parameter must be HTMLElement or a class that extends from or inherits HTMLElement. Received C which is not an instance of HTMLElement.');
-      });
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 1, code: 'compute-without-idl-name', property: 'compute' },
+        { index: 1, code: 'invalid-compute', property: 'compute' },
+        { index: 1, code: 'compute-with-incompatible-property', property: 'contentName' },
+        { index: 2, code: 'compute-with-incompatible-property', property: 'type' },
+        { index: 3, code: 'depends-on-without-compute', property: 'dependsOn' },
+        { index: 3, code: 'invalid-depends-on', property: 'dependsOn' }
+      ]);
     });
 
-    // ===========================================================================================================================
-    // This suite of tests cause the correct errors to be thrown, but jest does not catch them in the expect callbacks.
-    // So if you run them, code coverage should be 100%, but there will be 3 "failing" tests, because uncaught errors are thrown.
-    // ---------------------------------------------------------------------------------------------------------------------------
-    // I have tried wrapping the document.createElement() in a try catch, but this does not catch the errors either =/
-    // ===========================================================================================================================
-    describe('instance', () => {
-      xit('should throw an error if proxyTarget is set without idlName being set', () => {
-        class WebComponentErrorA extends attributesMixin(HTMLElement) {
-          static attributes =  [{ contentName: 'potato', proxyTarget: 'proxyTarget' }];
-          constructor() {
-            super();
-          }
-        }
-        customElements.define('web-component-error-a', WebComponentErrorA);
+    it('should return a problem for each invalid alias or deprecation message', () => {
+      const problems = attributesMixin.validate([
+        { idlName: 'variant', contentName: 'variant', aliases: ['kind', 'button-type', 'buttonType'] },
+        { idlName: 'size', aliases: 'large' },
+        { idlName: 'label', aliases: ['text-label'] },
+        { contentName: 'tone', aliases: ['kind', 'variant'], deprecated: '' }
+      ]);
 
-        expect(() => {
-          document.createElement('web-component-error-a');
-        }).toThrow('You must provide a value for "idlName" when using a proxyTarget.');
-      });
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 1, code: 'invalid-aliases', property: 'aliases' },
+        { index: 2, code: 'invalid-aliases', property: 'aliases' },
+        { index: 3, code: 'duplicate-alias', property: 'aliases' },
+        { index: 3, code: 'duplicate-alias', property: 'aliases' },
+        { index: 3, code: 'invalid-deprecated', property: 'deprecated' }
+      ]);
+    });
 
-      xit('should throw an error if both contentName and proxyTarget are set', () => {
-        class WebComponentErrorB extends attributesMixin(HTMLElement) {
-          static attributes =  [{ idlName: 'potato', contentName: 'potato', proxyTarget: 'proxyTarget' }];
-          constructor() {
-            super();
-          }
-        }
-        customElements.define('web-component-error-b', WebComponentErrorB);
+    it('should return a problem for each invalid urlParam option', () => {
+      const problems = attributesMixin.validate([
+        { idlName: 'a', urlParam: 'a' },
+        { idlName: 'b', urlParam: { name: 'b', location: 'hash', history: 'push' } },
+        { idlName: 'c', urlParam: '' },
+        { idlName: 'd', urlParam: { name: 'd', location: 'path' } },
+        { idlName: 'e', compute: () => 1, urlParam: 'e' }
+      ]);
 
-        expect(() => {
-          document.createElement('web-component-error-b');
-        }).toThrow('The "contentName" and "proxyTarget" properties cannot be used together.');
-      });
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 2, code: 'invalid-url-param', property: 'urlParam' },
+        { index: 3, code: 'invalid-url-param', property: 'urlParam' },
+        { index: 4, code: 'invalid-url-param', property: 'urlParam' }
+      ]);
+    });
 
-      xit('should throw an error if one of either proxyTarget or defaultValue is not set and readonly is set to `true`', () => {
-        class WebComponentErrorC extends attributesMixin(HTMLElement) {
-          static attributes =  [{ idlName: 'potato', readonly: true }];
-          constructor() {
-            super();
-          }
-        }
-        customElements.define('web-component-error-c', WebComponentErrorC);
+    it('should return a problem for each invalid persist option', () => {
+      const problems = attributesMixin.validate([
+        { idlName: 'a', persist: 'local' },
+        { idlName: 'b', persist: { storage: 'session', prefix: 'app:' } },
+        { idlName: 'c', persist: true },
+        { idlName: 'd', persist: { storage: 'local', prefix: 1 } },
+        { idlName: 'e', readonly: true, defaultValue: 1, persist: 'session' }
+      ]);
 
-        expect(() => {
-          document.createElement('web-component-error-c');
-        }).toThrow('You must provide a proxyTarget or defaultValue for readonly attributes.');
-      });
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 2, code: 'invalid-persist', property: 'persist' },
+        { index: 3, code: 'invalid-persist', property: 'persist' },
+        { index: 4, code: 'invalid-persist', property: 'persist' }
+      ]);
+    });
+
+    it('should return a problem for each invalid forwardTo selector', () => {
+      const problems = attributesMixin.validate([
+        { idlName: 'a', forwardTo: 'input' },
+        { contentName: 'b', forwardTo: ' ' }
+      ]);
+
+      expect(problems.map(({ index, code, property }) => ({ index, code, property }))).toEqual([
+        { index: 0, code: 'forward-to-without-content-name', property: 'forwardTo' },
+        { index: 1, code: 'invalid-forward-to', property: 'forwardTo' }
+      ]);
     });
   });
 
@@ -161,7 +2003,15 @@ describe('attributesMixin', () => {
         'content-attribute-a',
         'content-attribute-b',
         'boolean-that-reflects',
-        'number-that-reflects'
+        'number-that-reflects',
+        'count',
+        'rows',
+        'date',
+        'width',
+        'config',
+        'series',
+        'features',
+        'variant'
       ]);
     });
 
@@ -193,6 +2043,160 @@ describe('attributesMixin', () => {
     });
   });
 
+  describe('attribute decorator', () => {
+    class DecoratedInput extends attributesMixin(HTMLElement) {
+      static attributes = [
+        { contentName: 'data-theme' }
+      ];
+      @attribute({ contentName: 'size', type: 'number', defaultValue: 20 }) accessor size;
+      @attribute({ type: 'boolean' }) accessor expanded;
+      attributeChangedCallback(attributeName, oldValue, newValue) {
+        this.attributeChangedCallbackSpy(attributeName, oldValue, newValue);
+        super.attributeChangedCallback(attributeName, oldValue, newValue);
+      }
+      attributeChangedCallbackSpy() {}
+    }
+    class DecoratedSearchInput extends DecoratedInput {
+      @attribute({ contentName: 'size', type: 'unsigned', defaultValue: 30 }) accessor size;
+      @attribute({ contentName: 'placeholder' }) accessor placeholder;
+    }
+
+    customElements.define('decorated-input', DecoratedInput);
+    customElements.define('decorated-search-input', DecoratedSearchInput);
+
+    it('should declare attributes like the static attributes array', () => {
+      const decoratedInput = document.createElement('decorated-input');
+      const lifecycleCallbackSpy = jest.spyOn(decoratedInput, 'attributeChangedCallbackSpy');
+
+      expect(DecoratedInput.observedAttributes).toEqual(['data-theme', 'size']);
+      expect(decoratedInput.size).toEqual(20);
+
+      decoratedInput.size = 10;
+      decoratedInput.expanded = true;
+
+      expect(decoratedInput.getAttribute('size')).toEqual('10');
+      expect(decoratedInput.expanded).toEqual(true);
+      expect(lifecycleCallbackSpy.mock.calls).toEqual([['size', null, '10'], ['expanded', undefined, true]]);
+    });
+
+    it('should inherit and override decorated attributes', () => {
+      const decoratedSearchInput = document.createElement('decorated-search-input');
+
+      expect(DecoratedSearchInput.observedAttributes).toEqual(['data-theme', 'size', 'placeholder']);
+      expect(decoratedSearchInput.size).toEqual(30);
+      expect(() => {
+        decoratedSearchInput.size = -1;
+      }).toThrow(expect.objectContaining({ name: 'IndexSizeError' }));
+      expect(DecoratedSearchInput.describeAttributes().map(({ idlName }) => idlName)).toEqual([null, 'expanded', 'size', 'placeholder']);
+    });
+
+    it('should validate decorated attributes when the class is defined', () => {
+      class InvalidDecoratedInput extends attributesMixin(HTMLElement) {
+        @attribute({ type: 'size' }) accessor size;
+      }
+
+      expect(() => {
+        customElements.define('invalid-decorated-input', InvalidDecoratedInput);
+      }).toThrow(/^InvalidDecoratedInput: .*"size"/);
+    });
+
+    it('should throw an error if it is not used on a public, non-static accessor field', () => {
+      expect(() => class extends attributesMixin(HTMLElement) {
+        @attribute() static accessor size;
+      }).toThrow('The attribute decorator can only be used on public, non-static accessor fields (i.e. @attribute() accessor size). Received static accessor "size".');
+      expect(() => class extends attributesMixin(HTMLElement) {
+        @attribute() size;
+      }).toThrow('Received field "size".');
+    });
+
+    it('should warn once instead of throwing an error if the accessor has an initializer, and ignore its value', () => {
+      class InitializedDecoratedInput extends attributesMixin(HTMLElement) {
+        @attribute({ type: 'number' }) accessor size = 20;
+      }
+
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      customElements.define('initialized-decorated-input', InitializedDecoratedInput);
+
+      const initializedDecoratedInput = new InitializedDecoratedInput();
+
+      new InitializedDecoratedInput();
+
+      expect(initializedDecoratedInput.size).toEqual(null);
+      expect(initializedDecoratedInput.hasAttribute('size')).toEqual(false);
+      expect(warnSpy.mock.calls).toEqual([
+        ['InitializedDecoratedInput: The "size" accessor cannot have an initializer, so its value is ignored. Use the defaultValue property of its attribute config instead.']
+      ]);
+
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('static describeAttributes()', () => {
+    it('should return normalized metadata about the attributes of the class and the classes it extends', () => {
+      class BaseSelect extends attributesMixin(HTMLElement) {
+        static attributes = [
+          { idlName: 'value', proxyTarget: 'input', readonly: true }
+        ];
+      }
+      class DescribedSelect extends BaseSelect {
+        static attributes = [
+          { idlName: 'size', contentName: 'size', type: 'unsigned', defaultValue: 4, event: true, aliases: ['rows', 'visibleRows'] },
+          { idlName: 'variant', contentName: 'variant', type: 'enum', values: ['filled', 'outlined'] },
+          { contentName: 'data-theme', deprecated: 'Use CSS custom properties instead.' },
+          { idlName: 'label', compute: () => 'Select' }
+        ];
+      }
+
+      expect(DescribedSelect.describeAttributes()).toEqual([
+        {
+          idlName: 'value',
+          contentName: null,
+          type: null,
+          defaultValue: null,
+          readonly: true,
+          reflects: false,
+          proxy: { target: 'input', key: 'value' },
+          computed: false,
+          converted: false,
+          values: null,
+          event: null,
+          contentAliases: [],
+          idlAliases: [],
+          deprecated: null
+        },
+        {
+          idlName: 'size',
+          contentName: 'size',
+          type: 'unsigned',
+          defaultValue: 4,
+          readonly: false,
+          reflects: true,
+          proxy: null,
+          computed: false,
+          converted: false,
+          values: null,
+          event: 'size-changed',
+          contentAliases: ['rows'],
+          idlAliases: ['rows', 'visibleRows'],
+          deprecated: null
+        },
+        expect.objectContaining({ idlName: 'variant', type: 'enum', values: ['filled', 'outlined'] }),
+        expect.objectContaining({ idlName: null, contentName: 'data-theme', reflects: false, deprecated: 'Use CSS custom properties instead.' }),
+        expect.objectContaining({ idlName: 'label', readonly: true, computed: true })
+      ]);
+      expect(BaseSelect.describeAttributes()).toHaveLength(1);
+    });
+
+    it('should throw an error if any of the attribute configs are invalid', () => {
+      class InvalidSelect extends attributesMixin(HTMLElement) {
+        static attributes = [{ idlName: 'size', type: 'size' }];
+      }
+
+      expect(() => InvalidSelect.describeAttributes()).toThrow(/^InvalidSelect: /);
+    });
+  });
+
   describe('contentName', () => {
     it('should not create an IDL attribute getter setter if no idlName is provided', () => {
       expect(webComponent.attributeA).toBeUndefined();
@@ -264,6 +2268,113 @@ describe('attributesMixin', () => {
         webComponent.number = '123.456';
 
         expect(webComponent.number).toEqual(123.456);
+
+        webComponent.number = 0;
+
+        expect(webComponent.number).toEqual(0);
+
+        webComponent.number = -1.5;
+
+        expect(webComponent.number).toEqual(-1.5);
+
+        webComponent.number = 'abc';
+
+        expect(webComponent.number).toEqual(null);
+      });
+
+      it('should create an IDL attribute that uses its fromAttribute and toAttribute converters', () => {
+        const lifecycleCallbackSpy = jest.spyOn(webComponent, 'attributeChangedCallbackSpy');
+
+        expect(webComponent.duration).toEqual(null);
+
+        webComponent.duration = 1500;
+
+        expect(webComponent.duration).toEqual(1500);
+        expect(lifecycleCallbackSpy).toHaveBeenCalledWith('duration', undefined, '1.5s');
+
+        webComponent.duration = 0;
+
+        expect(webComponent.duration).toEqual(0);
+        expect(lifecycleCallbackSpy).toHaveBeenLastCalledWith('duration', '1.5s', '0s');
+      });
+
+      it('should create an IDL attribute that serializes its value to JSON and parses it when read', () => {
+        const lifecycleCallbackSpy = jest.spyOn(webComponent, 'attributeChangedCallbackSpy');
+
+        expect(webComponent.options).toEqual(null);
+
+        webComponent.options = { a: 1, b: [true, null] };
+
+        expect(webComponent.options).toEqual({ a: 1, b: [true, null] });
+        expect(webComponent.options).toBe(webComponent.options);
+        expect(lifecycleCallbackSpy).toHaveBeenCalledWith('options', undefined, '{"a":1,"b":[true,null]}');
+      });
+
+      it('should create an IDL attribute that returns a live token list', () => {
+        const lifecycleCallbackSpy = jest.spyOn(webComponent, 'attributeChangedCallbackSpy');
+
+        expect(webComponent.parts).toBe(webComponent.parts);
+        expect([...webComponent.parts]).toEqual(['header', 'body']);
+
+        webComponent.parts.add('footer');
+
+        expect([...webComponent.parts]).toEqual(['header', 'body', 'footer']);
+        expect(lifecycleCallbackSpy).toHaveBeenCalledWith('parts', undefined, 'header body footer');
+
+        webComponent.parts = 'body';
+
+        expect(webComponent.parts.value).toEqual('body');
+      });
+
+      it('should create an IDL attribute that always returns an integer or null', () => {
+        expect(webComponent.integer).toEqual(null);
+
+        webComponent.integer = '12.9';
+
+        expect(webComponent.integer).toEqual(12);
+
+        webComponent.integer = -3;
+
+        expect(webComponent.integer).toEqual(-3);
+
+        webComponent.integer = 0;
+
+        expect(webComponent.integer).toEqual(0);
+      });
+
+      it('should round a number to its step and clamp it to its min and max when set', () => {
+        const lifecycleCallbackSpy = jest.spyOn(webComponent, 'attributeChangedCallbackSpy');
+
+        expect(webComponent.rating).toEqual(null);
+
+        webComponent.rating = 3.3;
+
+        expect(webComponent.rating).toEqual(3.5);
+        expect(lifecycleCallbackSpy).toHaveBeenCalledWith('rating', undefined, 3.5);
+
+        webComponent.rating = 0;
+
+        expect(webComponent.rating).toEqual(0);
+
+        webComponent.rating = -1;
+
+        expect(webComponent.rating).toEqual(0);
+
+        webComponent.rating = 100;
+
+        expect(webComponent.rating).toEqual(5);
+      });
+
+      it('should create an IDL attribute that always returns one of its enumerated keywords or an empty string', () => {
+        expect(webComponent.orientation).toEqual('');
+
+        webComponent.orientation = 'VERTICAL';
+
+        expect(webComponent.orientation).toEqual('vertical');
+
+        webComponent.orientation = 'diagonal';
+
+        expect(webComponent.orientation).toEqual('');
       });
     });
   });
@@ -322,6 +2433,182 @@ describe('attributesMixin', () => {
         expect(webComponent.numberThatReflects).toEqual(123456.789);
         expect(webComponent.getAttribute('number-that-reflects')).toEqual('123456.789');
       });
+
+      it('should create an IDL attribute that uses its fromAttribute and toAttribute converters, and a content attribute that is removed when toAttribute returns null or undefined', () => {
+        expect(webComponent.date).toEqual(null);
+
+        webComponent.date = new Date(Date.UTC(2022, 5, 1));
+
+        expect(webComponent.date).toEqual(new Date(Date.UTC(2022, 5, 1)));
+        expect(webComponent.getAttribute('date')).toEqual('2022-06-01T00:00:00.000Z');
+
+        webComponent.setAttribute('date', '2000-01-01T00:00:00.000Z');
+
+        expect(webComponent.date).toEqual(new Date(Date.UTC(2000, 0, 1)));
+
+        webComponent.date = null;
+
+        expect(webComponent.date).toEqual(null);
+        expect(webComponent.hasAttribute('date')).toEqual(false);
+      });
+
+      it('should create an IDL attribute that uses its fromAttribute converter, and a content attribute that is set to the string value if there is no toAttribute converter', () => {
+        expect(webComponent.width).toEqual([0, 'px']);
+
+        webComponent.width = '10rem';
+
+        expect(webComponent.width).toEqual(['10', 'rem']);
+        expect(webComponent.getAttribute('width')).toEqual('10rem');
+
+        webComponent.setAttribute('width', '50%');
+
+        expect(webComponent.width).toEqual(['50', '%']);
+      });
+
+      it('should create an IDL attribute that parses its JSON content attribute once per change', () => {
+        const parseSpy = jest.spyOn(JSON, 'parse');
+
+        expect(webComponent.config).toEqual(null);
+
+        webComponent.config = { type: 'bar', stacked: false };
+
+        expect(webComponent.getAttribute('config')).toEqual('{"type":"bar","stacked":false}');
+        expect(webComponent.config).toEqual({ type: 'bar', stacked: false });
+        expect(webComponent.config).toBe(webComponent.config);
+        expect(parseSpy).toHaveBeenCalledTimes(1);
+
+        webComponent.setAttribute('config', '{"type":"line"}');
+
+        expect(webComponent.config).toEqual({ type: 'line' });
+        expect(webComponent.config).toEqual({ type: 'line' });
+        expect(parseSpy).toHaveBeenCalledTimes(2);
+
+        webComponent.config = undefined;
+
+        expect(webComponent.hasAttribute('config')).toEqual(false);
+        expect(webComponent.config).toEqual(null);
+
+        parseSpy.mockRestore();
+      });
+
+      it('should report JSON parse errors to the onParseError handler instead of throwing', () => {
+        const parseErrorSpy = jest.spyOn(webComponent, 'parseErrorSpy');
+
+        webComponent.setAttribute('config', '{ type: bar }');
+
+        expect(webComponent.config).toEqual(null);
+        expect(webComponent.config).toEqual(null);
+        expect(parseErrorSpy).toHaveBeenCalledTimes(1);
+        expect(parseErrorSpy).toHaveBeenCalledWith(expect.any(SyntaxError), '{ type: bar }');
+      });
+
+      it('should create an IDL attribute that always returns an array, and log parse errors to the console if there is no onParseError handler', () => {
+        const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(webComponent.series).toEqual([]);
+
+        webComponent.series = [1, 2, 3];
+
+        expect(webComponent.series).toEqual([1, 2, 3]);
+        expect(webComponent.getAttribute('series')).toEqual('[1,2,3]');
+
+        webComponent.setAttribute('series', '{"a":1}');
+
+        expect(webComponent.series).toEqual([]);
+        expect(consoleErrorSpy).toHaveBeenCalledWith(expect.any(TypeError));
+
+        consoleErrorSpy.mockRestore();
+      });
+
+      it('should create an IDL attribute that returns a live token list backed by the content attribute', () => {
+        const features = webComponent.features;
+
+        expect(features.length).toEqual(0);
+
+        features.add('a', 'b');
+
+        expect(webComponent.getAttribute('features')).toEqual('a b');
+
+        webComponent.setAttribute('features', 'b c');
+
+        expect(features.contains('a')).toEqual(false);
+        expect(features.contains('c')).toEqual(true);
+
+        features.replace('c', 'd');
+        features.toggle('b');
+
+        expect(webComponent.getAttribute('features')).toEqual('d');
+
+        webComponent.features = 'e f';
+
+        expect(webComponent.features).toBe(features);
+        expect([...features]).toEqual(['e', 'f']);
+      });
+
+      it('should create an IDL attribute that always returns an integer clamped to its min and max, and a content attribute that is clamped when the IDL attribute is set', () => {
+        expect(webComponent.count).toEqual(null);
+
+        webComponent.count = 0;
+
+        expect(webComponent.count).toEqual(0);
+        expect(webComponent.getAttribute('count')).toEqual('0');
+
+        webComponent.count = -20;
+
+        expect(webComponent.count).toEqual(-10);
+        expect(webComponent.getAttribute('count')).toEqual('-10');
+
+        webComponent.setAttribute('count', '20');
+
+        expect(webComponent.count).toEqual(10);
+        expect(webComponent.getAttribute('count')).toEqual('20');
+      });
+
+      it('should create an IDL attribute that always returns a non-negative integer, and throw an IndexSizeError if set to a negative number', () => {
+        expect(webComponent.rows).toEqual(2);
+
+        webComponent.rows = 5;
+
+        expect(webComponent.rows).toEqual(5);
+        expect(webComponent.getAttribute('rows')).toEqual('5');
+
+        webComponent.rows = 0;
+
+        expect(webComponent.rows).toEqual(1);
+        expect(webComponent.getAttribute('rows')).toEqual('1');
+
+        expect(() => {
+          webComponent.rows = -5;
+        }).toThrow(expect.objectContaining({ name: 'IndexSizeError' }));
+        expect(webComponent.getAttribute('rows')).toEqual('1');
+
+        webComponent.setAttribute('rows', '-5');
+
+        expect(webComponent.rows).toEqual(2);
+      });
+
+      it('should create an IDL attribute that always returns a canonical enumerated keyword, and a content attribute that returns the set value', () => {
+        expect(webComponent.variant).toEqual('primary');
+        expect(webComponent.getAttribute('variant')).toBeNull();
+
+        webComponent.variant = 'DANGERZONE';
+
+        expect(webComponent.variant).toEqual('dangerZone');
+        expect(webComponent.getAttribute('variant')).toEqual('DANGERZONE');
+
+        webComponent.setAttribute('variant', 'bananas');
+
+        expect(webComponent.variant).toEqual('secondary');
+        expect(webComponent.getAttribute('variant')).toEqual('bananas');
+
+        webComponent.setAttribute('variant', '');
+
+        expect(webComponent.variant).toEqual('secondary');
+
+        webComponent.removeAttribute('variant');
+
+        expect(webComponent.variant).toEqual('primary');
+      });
     });
   });
 
@@ -359,6 +2646,16 @@ describe('attributesMixin', () => {
         });
       });
 
+      describe('enum', () => {
+        it('should create a readonly IDL attribute that does not reflect to a content attribute', () => {
+          expect(webComponent.readonlyEnum).toEqual('rtl');
+
+          webComponent.readonlyEnum = 'ltr';
+
+          expect(webComponent.readonlyEnum).toEqual('rtl');
+        });
+      });
+
       describe('number', () => {
         it('should create a readonly IDL attribute that does not reflect to a content attribute', () => {
           expect(webComponent.readonlyNumber).toEqual(123.456);
@@ -427,6 +2724,67 @@ describe('attributesMixin', () => {
         });
       });
 
+      describe('fromAttribute + toAttribute', () => {
+        it('should use the proxyTarget to get and set the converted value', () => {
+          // proxyTargetA: HTMLInputElement
+          webComponent.min = new Date(Date.UTC(2022, 5, 1));
+
+          expect(webComponent.proxyTargetA.min).toEqual('2022-06-01');
+          expect(webComponent.min).toEqual(new Date(Date.UTC(2022, 5, 1)));
+
+          webComponent.proxyTargetA.min = '2000-01-01';
+
+          expect(webComponent.min).toEqual(new Date(Date.UTC(2000, 0, 1)));
+        });
+      });
+
+      describe('integer', () => {
+        it('should use the proxyTarget to get and set the value', () => {
+          // proxyTargetA: HTMLInputElement
+          expect(webComponent.proxyTargetA.tabIndex).toEqual(0);
+          expect(webComponent.tabIndex).toEqual(0);
+
+          webComponent.tabIndex = -1;
+
+          expect(webComponent.proxyTargetA.tabIndex).toEqual(-1);
+          expect(webComponent.tabIndex).toEqual(-1);
+        });
+      });
+
+      describe('unsigned', () => {
+        it('should use the proxyTarget to get and set the value', () => {
+          // proxyTargetA: HTMLInputElement
+          expect(webComponent.size).toEqual(20);
+
+          webComponent.size = 10;
+
+          expect(webComponent.proxyTargetA.size).toEqual(10);
+          expect(webComponent.size).toEqual(10);
+
+          expect(() => {
+            webComponent.size = -1;
+          }).toThrow(expect.objectContaining({ name: 'IndexSizeError' }));
+          expect(webComponent.size).toEqual(10);
+        });
+      });
+
+      describe('enum', () => {
+        it('should use the proxyTarget to get and set the value', () => {
+          // proxyTargetA: HTMLInputElement
+          expect(webComponent.proxyTargetA.dir).toEqual('');
+          expect(webComponent.dir).toEqual('');
+
+          webComponent.proxyTargetA.dir = 'RTL';
+
+          expect(webComponent.dir).toEqual('rtl');
+
+          webComponent.dir = 'auto';
+
+          expect(webComponent.proxyTargetA.dir).toEqual('auto');
+          expect(webComponent.dir).toEqual('auto');
+        });
+      });
+
       describe('boolean', () => {
         it('should use the proxyTarget to get and set the value', () => {
           // proxyTargetB: { label: '', mabel: '', proxyTargetNumber: null }
@@ -477,5 +2835,70 @@ describe('attributesMixin', () => {
       expect(webComponent.proxyTargetB.mabel).toEqual('abc');
       expect(webComponent.mabel).toEqual('abc');
     });
+
+    describe('dotted paths, proxyKey and function targets', () => {
+      class TextField extends attributesMixin(HTMLElement) {
+        static attributes = [
+          { idlName: 'value', proxyTarget: 'refs.input' },
+          { idlName: 'hint', proxyTarget: (element) => element.shadowRoot.querySelector('input'), proxyKey: 'placeholder' },
+          { idlName: 'maxLength', type: 'integer', proxyTarget: 'refs.input', changed: 'maxLengthChanged' }
+        ];
+        refs = {};
+        constructor() {
+          super();
+          this.attachShadow({ mode: 'open' });
+        }
+        maxLengthChanged(_newValue, _oldValue) {}
+        render() {
+          this.shadowRoot.innerHTML = '<input>';
+          this.refs.input = this.shadowRoot.querySelector('input');
+        }
+      }
+
+      customElements.define('text-field', TextField);
+
+      let textField;
+      beforeEach(() => {
+        textField = document.createElement('text-field');
+      });
+
+      it('should use the resolved proxyTarget and proxyKey to get and set the value', () => {
+        textField.render();
+        textField.value = 'abc';
+        textField.hint = 'Type here';
+
+        const input = textField.shadowRoot.querySelector('input');
+
+        expect(input.value).toEqual('abc');
+        expect(input.placeholder).toEqual('Type here');
+
+        input.value = '123';
+
+        expect(textField.value).toEqual('123');
+      });
+
+      it('should buffer values until the proxyTarget is available', async () => {
+        const maxLengthChangedSpy = jest.spyOn(textField, 'maxLengthChanged');
+
+        textField.value = 'abc';
+        textField.hint = 'Type here';
+        textField.maxLength = 10;
+
+        expect(textField.value).toEqual('abc');
+        expect(textField.hint).toEqual('Type here');
+        expect(textField.maxLength).toEqual(10);
+        expect(maxLengthChangedSpy).toHaveBeenCalledWith(10, null);
+
+        textField.render();
+        await Promise.resolve();
+
+        const input = textField.shadowRoot.querySelector('input');
+
+        expect(input.value).toEqual('abc');
+        expect(input.placeholder).toEqual('Type here');
+        expect(input.maxLength).toEqual(10);
+        expect(maxLengthChangedSpy).toHaveBeenCalledTimes(1);
+      });
+    });
   });
 });
@@ -2,8 +2,59 @@
  * @typedef {Object} AttributeConfig
  * @property {string} idlName - The name of the IDL Attribute (also known as DOM Property) i.e. readOnly.
  * @property {string} contentName - The name of the Content Attribute i.e readonly.
- * @property {string} [proxyTarget] - Optional proxyTarget to use instead of the element's content attribute interface. Requires idlName to be set. Must be a property that exists on the element sub class.
- * @property {boolean|number} [attributeType] - Instructs the IDL Attribute getter to parse the value as a boolean or number.
+ * @property {string|function(HTMLElement): ?Object} [proxyTarget] - Optional proxyTarget to use instead of the element's content attribute interface. Requires idlName to be set. Must be the name (or dotted path i.e. refs.input) of a property of the element or a function that is called with the element and returns the target. Values set before the target is available are buffered until it is.
+ * @property {string} [proxyKey] - The name of the property of the proxyTarget to use, if it is not the same as idlName. Requires proxyTarget to be set.
+ * @property {'array'|'boolean'|'enum'|'integer'|'json'|'number'|'string'|'tokens'|'unsigned'} [type] - Instructs the IDL Attribute getter to parse the value as a JSON array, boolean, enumerated keyword, integer, JSON value, number, string, live token list (AttributeTokenList) or non-negative integer.
  * @property {*} [defaultValue] - The default or fallback value to use when the attribute has not been set. If the attribute reflects to a content attribute that is not of type boolean or number, this is also the value that will be returned if the attribute is set to an empty string.
- * @property {boolean} [readonly] - If this property is set to true, you must provide either a proxyTarget or defaultValue.
+ * @property {boolean} [readonly] - If this property is set to true, you must provide either a proxyTarget, defaultValue or compute function. Cannot be used with contentName.
+ * @property {string[]} [values] - The keywords of an enum type attribute. The IDL Attribute getter always returns one of these keywords (matched case-insensitively) or an empty string.
+ * @property {string} [invalidValueDefault] - The keyword an enum type attribute returns when its value matches none of its keywords. For enum type attributes, defaultValue is the keyword returned when the attribute is missing.
+ * @property {number} [min] - The minimum value of an integer, number or unsigned type attribute. Values below min are clamped to min.
+ * @property {number} [max] - The maximum value of an integer, number or unsigned type attribute. Values above max are clamped to max.
+ * @property {number} [step] - The step of an integer, number or unsigned type attribute. Values are rounded to the nearest step, counting from min (or 0).
+ * @property {function(string): *} [fromAttribute] - Converts the Content Attribute (or stored or proxyTarget) value to the value returned by the IDL Attribute getter. Not called for missing values (defaultValue or null is returned instead). Cannot be used with type.
+ * @property {function(*): ?string} [toAttribute] - Converts the value passed to the IDL Attribute setter to the string that is reflected to the Content Attribute (or stored or set on the proxyTarget). If it returns null or undefined, the Content Attribute is removed. Cannot be used with type.
+ * @property {function(Error, string): void} [onParseError] - Called (with the element as "this") when the value of a json or array type attribute cannot be parsed. Defaults to logging the error to the console.
+ * @property {boolean} [formValue] - Keeps the form value of a form associated element (static formAssociated = true) in sync with this attribute. Only one attribute can be the formValue. Requires idlName to be set.
+ * @property {boolean} [required] - The element is invalid (valueMissing) if the IDL Attribute is null, undefined, an empty string, false or empty (i.e. an empty array). Requires idlName to be set.
+ * @property {string|RegExp} [pattern] - The element is invalid (patternMismatch) if the IDL Attribute is not empty and does not match the pattern. A string pattern must match the whole value (like the pattern attribute of an input element). Requires idlName to be set.
+ * @property {number} [minLength] - The element is invalid (tooShort) if the IDL Attribute is not empty and has fewer characters. Requires idlName to be set.
+ * @property {number} [maxLength] - The element is invalid (tooLong) if the IDL Attribute is not empty and has more characters. Requires idlName to be set.
+ * @property {function(*, HTMLElement): (string|boolean|void)} [validate] - Custom constraint. Called with the value of the IDL Attribute and the element and must return an error message (or false) if the value is invalid (customError). Requires idlName to be set.
+ * @property {string} [aria] - The ARIA property of ElementInternals (i.e. ariaPressed) to reflect the IDL Attribute to, as a string. Without ElementInternals, the ARIA Content Attribute (i.e. aria-pressed) of the element is set instead. Requires idlName to be set.
+ * @property {string} [state] - The custom state (i.e. checked) to add to the CustomStateSet of ElementInternals when the IDL Attribute is not empty, enabling the :state() pseudo class. Requires idlName to be set.
+ * @property {(function(*, *): void)|string} [changed] - Called (with the element as "this") with the new and old values of the attribute whenever it changes, or the name of a method of the element to call instead. The values are converted like the value returned by the IDL Attribute getter (Content Attribute values for attributes without an idlName).
+ * @property {boolean|string} [event] - The name of a CustomEvent (bubbling and composed) to dispatch with a { name, oldValue, newValue } detail whenever the attribute changes, or true for "<idlName>-changed" ("<contentName>-changed" if there is no idlName).
+ * @property {function(*, *): boolean} [hasChanged] - Called (with the element as "this") with the new and old values of the attribute (like changed) to decide whether it has changed. Defaults to comparing the unparsed values with Object.is(). Unchanged values do not call the attributeChangedCallback lifecycle callback (for non-reflecting IDL Attributes), changed, updated() or dispatch an event.
+ * @property {string} [forwardTo] - A CSS selector (or a part name written as ::part(name)) of the elements in the shadow root to mirror the Content Attribute onto, including when it is removed and when the shadow root is re-rendered. Requires contentName to be set.
+ * @property {function(HTMLElement): *} [compute] - Makes the IDL Attribute readonly and returns the value computed by this function (called with the element as "this" and its only argument). Requires idlName to be set. Cannot be used with contentName, proxyTarget, type, defaultValue, fromAttribute or toAttribute.
+ * @property {string[]} [dependsOn] - The idlNames or contentNames of the attributes the compute function depends on. When any of them changes, the change of the computed attribute is notified (attributeChangedCallback, changed, event and updated()).
+ * @property {string[]} [aliases] - Old names of the attribute. Aliases without uppercase letters are Content Attribute aliases (requires contentName) and aliases that are valid identifiers are IDL Attribute aliases (requires idlName). Using an alias sets the attribute and logs a deprecation warning (once per sub class).
+ * @property {string} [deprecated] - Marks the attribute as deprecated. The message is logged (once per sub class) when the attribute is first set.
+ * @property {'local'|'session'|{ storage: ('local'|'session'), prefix: string }} [persist] - Persists the attribute to localStorage or sessionStorage (with an optional key prefix) when it changes and restores it the first time the element is connected. Cannot be used with readonly or computed attributes.
+ * @property {string|{ name: string, location: ('search'|'hash'), history: ('replace'|'push') }} [urlParam] - The name of a URL parameter in the query string (or the fragment, with location 'hash') to keep the attribute in sync with while the element is connected. Changes are written with history.replaceState() (or pushState(), with history 'push') and popstate sets the attribute again. Cannot be used with readonly or computed attributes.
+ */
+/**
+ * @typedef {Object} AttributeDescription
+ * @property {?string} idlName - The name of the IDL Attribute, or null if the attribute only has a Content Attribute.
+ * @property {?string} contentName - The name of the Content Attribute, or null if the attribute only has an IDL Attribute.
+ * @property {?string} type - The type of the attribute, or null if it has none (i.e. it uses fromAttribute and toAttribute).
+ * @property {*} defaultValue - The defaultValue of the attribute, or null if it has none.
+ * @property {boolean} readonly - Whether the IDL Attribute is readonly (including computed attributes).
+ * @property {boolean} reflects - Whether the IDL Attribute reflects to the Content Attribute.
+ * @property {?{ target: ?string, key: string }} proxy - The proxyTarget (null if it is a function) and the key of the property of the proxyTarget, or null if the attribute is not proxied.
+ * @property {boolean} computed - Whether the IDL Attribute is computed.
+ * @property {boolean} converted - Whether the attribute uses fromAttribute or toAttribute.
+ * @property {?string[]} values - The keywords of an enum type attribute, or null.
+ * @property {?string} event - The name of the CustomEvent dispatched when the attribute changes, or null.
+ * @property {string[]} contentAliases - The Content Attribute aliases of the attribute.
+ * @property {string[]} idlAliases - The IDL Attribute aliases of the attribute.
+ * @property {?string} deprecated - The deprecation message of the attribute, or null.
+ */
+/**
+ * @typedef {Object} AttributeConfigProblem
+ * @property {number} index - The index of the offending attribute config (-1 if the attributes property itself is invalid).
+ * @property {string} code - A stable identifier for the problem i.e. duplicate-idl-name.
+ * @property {?string} property - The name of the offending property of the attribute config (if any).
+ * @property {string} message - A human readable description of the problem.
  */
@@ -0,0 +1,422 @@
+/**
+ * Builds a Custom Elements Manifest (custom-elements.json) and TypeScript declarations (.d.ts) from the
+ * attribute descriptions of web components that use the attributes mixin (see static describeAttributes()).
+ *
+ * Used by scripts/generate-manifest.mjs, which imports the component modules under a minimal DOM shim
+ * to find their custom element definitions.
+ *
+ * @example
+ * ```
+ * const modules = [
+ *   { path: 'src/tab-list.js', definitions: [{ tagName: 'tab-list', constructor: TabList, exportName: 'TabList' }] }
+ * ];
+ *
+ * createManifest(modules); // { schemaVersion: '1.0.0', modules: [...] }
+ * createDeclarations(modules[0], { modules }); // 'declare class TabList extends HTMLElement {...}'
+ * ```
+ */
+/**
+ * @typedef {Object} CustomElementDefinition
+ * @property {string} tagName - The name the class is defined with (customElements.define()).
+ * @property {typeof HTMLElement} constructor - The class, which must use the attributes mixin.
+ * @property {?string} exportName - The name the module exports the class as, or null if it does not export it.
+ */
+/**
+ * @typedef {Object} CustomElementModule
+ * @property {string} path - The path of the module, relative to the package root (i.e. src/tab-list.js).
+ * @property {CustomElementDefinition[]} definitions - The custom elements defined by the module.
+ */
+/**
+ * @private
+ * @type {string}
+ */
+const SCHEMA_VERSION = '1.0.0';
+/**
+ * The TypeScript declarations of the public (and protected) members the mixin adds to every custom element class.
+ *
+ * @private
+ * @type {string[]}
+ */
+const MIXIN_MEMBER_DECLARATIONS = [
+  '  static readonly observedAttributes: string[];',
+  '  static describeAttributes(): Record<string, unknown>[];',
+  '  protected readonly elementInternals: ElementInternals | null;',
+  '  readonly updateComplete: Promise<void>;',
+  '  attachInternals(): ElementInternals;',
+  '  updated(changedAttributes: Map<string, unknown>): void;',
+  '  getAttributeState(): Record<string, unknown>;',
+  '  setAttributeState(state: Record<string, unknown>): void;',
+  '  toJSON(): Record<string, unknown>;',
+  '  attributeChangedCallback(attributeName: string, oldValue: string | null, newValue: string | null): void;',
+  '  connectedCallback(): void;',
+  '  disconnectedCallback(): void;'
+];
+/**
+ * The TypeScript declarations of the members the mixin adds to form associated custom element classes.
+ *
+ * @private
+ * @type {string[]}
+ */
+const FORM_ASSOCIATED_MEMBER_DECLARATIONS = [
+  '  static readonly formAssociated: boolean;',
+  '  readonly form: HTMLFormElement | null;',
+  '  readonly labels: NodeListOf<HTMLLabelElement> | null;',
+  '  readonly willValidate: boolean;',
+  '  formResetCallback(): void;',
+  '  formStateRestoreCallback(state: unknown, mode: \'restore\' | \'autocomplete\'): void;'
+];
+/**
+ * The TypeScript declarations of the constraint validation members the mixin adds to form associated custom element
+ * classes and to those with constrained attributes.
+ *
+ * @private
+ * @type {string[]}
+ */
+const CONSTRAINT_VALIDATION_MEMBER_DECLARATIONS = [
+  '  readonly validity: ValidityState;',
+  '  readonly validationMessage: string;',
+  '  checkValidity(): boolean;',
+  '  reportValidity(): boolean;'
+];
+/**
+ * Returns the class a custom element class extends, skipping the class created by the attributes mixin (so that
+ * it is i.e. HTMLElement for class TabList extends attributesMixin(HTMLElement)).
+ *
+ * @private
+ * @param {typeof HTMLElement} constructor
+ * @returns {typeof HTMLElement}
+ */
+const getSuperclass = (constructor) => {
+  const superclass = Object.getPrototypeOf(constructor);
+
+  return Object.hasOwn(superclass, 'describeAttributes') ? Object.getPrototypeOf(superclass) : superclass;
+};
+/**
+ * Returns the class the attributes mixin was applied to, for a class that uses the mixin (or the class itself otherwise).
+ *
+ * @private
+ * @param {typeof HTMLElement} constructor
+ * @returns {typeof HTMLElement}
+ */
+const getBaseClass = (constructor) => {
+  let base = constructor;
+
+  while (typeof base.describeAttributes === 'function') {
+    base = getSuperclass(base);
+  }
+
+  return base;
+};
+/**
+ * Returns the module that declares a custom element class, with the definition of the class, or null if none of the modules does.
+ *
+ * @private
+ * @param {CustomElementModule[]} modules
+ * @param {typeof HTMLElement} constructor
+ * @returns {?{ module: CustomElementModule, definition: CustomElementDefinition }}
+ */
+const findDeclaringModule = (modules, constructor) => {
+  for (const module of modules) {
+    const definition = module.definitions.find((moduleDefinition) => moduleDefinition.constructor === constructor);
+
+    if (definition) {
+      return { module, definition };
+    }
+  }
+
+  return null;
+};
+/**
+ * Returns the path of a module relative to the directory of another module, as an import specifier (i.e. ./tab-list.js).
+ *
+ * @private
+ * @param {string} fromPath - The path of the importing module, relative to the package root.
+ * @param {string} toPath - The path of the imported module, relative to the package root.
+ * @returns {string}
+ */
+const getImportSpecifier = (fromPath, toPath) => {
+  const fromDirectories = fromPath.split('/').slice(0, -1);
+  const toSegments = toPath.split('/');
+  let commonLength = 0;
+
+  while (commonLength < fromDirectories.length && commonLength < toSegments.length - 1 && fromDirectories[commonLength] === toSegments[commonLength]) {
+    commonLength += 1;
+  }
+
+  const upSegments = fromDirectories.slice(commonLength).map(() => '..');
+
+  return [...(upSegments.length ? upSegments : ['.']), ...toSegments.slice(commonLength)].join('/');
+};
+/**
+ * Returns the TypeScript type of the value returned by the IDL Attribute getter of an attribute.
+ *
+ * @private
+ * @param {AttributeDescription}
+ * @returns {string}
+ */
+const getTypeText = ({ contentName, type: attributeType, defaultValue, proxy, computed, converted, values }) => {
+  if (computed || converted) {
+    return 'unknown';
+  }
+
+  switch (attributeType) {
+    case 'array':
+      return 'unknown[] | null';
+    case 'boolean':
+      return 'boolean';
+    case 'enum':
+      return [...new Set([...values, ''])].map((keyword) => `'${keyword.replace(/['\\]/g, '\\$&')}'`).join(' | ');
+    case 'integer':
+    case 'number':
+    case 'unsigned':
+      // Without a numeric defaultValue, the IDL Attribute returns null when the attribute is not set (or not a number).
+      return defaultValue !== null && defaultValue !== '' && Number(defaultValue) >= (attributeType === 'unsigned' ? 0 : -Infinity) ? 'number' : 'number | null';
+    case 'json':
+      return 'unknown';
+    case 'string':
+      return 'string';
+    case 'tokens':
+      return 'AttributeTokenList';
+    default:
+      return contentName && !proxy ? 'string' : 'unknown';
+  }
+};
+/**
+ * Returns the TypeScript declarations of an IDL Attribute (or alias). Tokens type attributes get a getter setter pair,
+ * because their setter also accepts a string.
+ *
+ * @private
+ * @param {string} name
+ * @param {string} type - See getTypeText().
+ * @param {boolean} readonly
+ * @returns {string[]}
+ */
+const getFieldDeclarations = (name, type, readonly) => {
+  if (type === 'AttributeTokenList' && !readonly) {
+    return [`  get ${name}(): AttributeTokenList;`, `  set ${name}(value: string | AttributeTokenList);`];
+  }
+
+  return [`  ${readonly ? 'readonly ' : ''}${name}: ${type};`];
+};
+/**
+ * Returns the manifest entries (attributes, members and events) of a custom element class.
+ *
+ * @private
+ * @param {typeof HTMLElement} constructor
+ * @returns {{ attributes: Object[], members: Object[], events: Object[] }}
+ */
+const getClassEntries = (constructor) => {
+  const attributes = [];
+  const members = [];
+  const events = [];
+
+  constructor.describeAttributes().forEach((description) => {
+    const { idlName, contentName, defaultValue, readonly, reflects, event, contentAliases, idlAliases, deprecated } = description;
+    const type = { text: getTypeText(description) };
+    const attributeType = description.type === 'tokens' ? { text: 'string' } : type; // Content Attribute values are strings.
+    const defaultText = defaultValue === null ? {} : { default: JSON.stringify(defaultValue) };
+    const deprecation = deprecated ? { deprecated } : {};
+
+    if (contentName) {
+      attributes.push({ name: contentName, ...(idlName ? { fieldName: idlName } : {}), type: attributeType, ...defaultText, ...deprecation });
+      contentAliases.forEach((alias) => {
+        attributes.push({ name: alias, ...(idlName ? { fieldName: idlName } : {}), type: attributeType, deprecated: `Use "${contentName}" instead.` });
+      });
+    }
+    if (idlName) {
+      members.push({
+        kind: 'field',
+        name: idlName,
+        type,
+        ...defaultText,
+        ...(readonly ? { readonly: true } : {}),
+        ...(contentName ? { attribute: contentName } : {}),
+        ...(reflects ? { reflects: true } : {}),
+        ...deprecation
+      });
+      idlAliases.forEach((alias) => {
+        members.push({ kind: 'field', name: alias, type, deprecated: `Use "${idlName}" instead.` });
+      });
+    }
+    if (event) {
+      events.push({ name: event, type: { text: 'CustomEvent' } });
+    }
+  });
+
+  return { attributes, members, events };
+};
+/**
+ * Returns the manifest reference to the class a custom element class extends: the module that declares it, if it is one
+ * of the custom elements of the given modules, or just its name otherwise (i.e. HTMLElement).
+ *
+ * @private
+ * @param {CustomElementModule[]} modules
+ * @param {typeof HTMLElement} constructor
+ * @returns {{ name: string, module?: string }}
+ */
+const getSuperclassReference = (modules, constructor) => {
+  const superclass = getSuperclass(constructor);
+  const declaringModule = findDeclaringModule(modules, superclass);
+
+  return declaringModule ? { name: superclass.name, module: declaringModule.module.path } : { name: superclass.name };
+};
+/**
+ * Creates a Custom Elements Manifest (https://github.com/webcomponents/custom-elements-manifest) for the custom elements of the given modules.
+ *
+ * @param {CustomElementModule[]} modules
+ * @returns {Object}
+ * @throws Will throw an error if any of the attribute configs are invalid.
+ */
+const createManifest = (modules) => {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    readme: '',
+    modules: modules.map(({ path, definitions }) => {
+      return {
+        kind: 'javascript-module',
+        path,
+        declarations: definitions.map(({ tagName, constructor }) => {
+          return {
+            kind: 'class',
+            name: constructor.name,
+            tagName,
+            customElement: true,
+            superclass: getSuperclassReference(modules, constructor),
+            ...getClassEntries(constructor)
+          };
+        }),
+        exports: definitions.flatMap(({ tagName, constructor, exportName }) => {
+          const declaration = { name: constructor.name, module: path };
+
+          return [
+            ...(exportName ? [{ kind: 'js', name: exportName, declaration }] : []),
+            { kind: 'custom-element-definition', name: tagName, declaration }
+          ];
+        })
+      };
+    })
+  };
+};
+/**
+ * Returns the name a custom element class is declared as in the TypeScript declarations of a module, and the import
+ * that declares it if another module does. Mixin classes that none of the modules declare (or export) are skipped,
+ * so that the class the declaration extends is always either declared or global (i.e. HTMLElement).
+ *
+ * @private
+ * @param {CustomElementModule} module - The module whose declarations are created.
+ * @param {CustomElementModule[]} modules
+ * @param {typeof HTMLElement} superclass
+ * @returns {{ superclass: typeof HTMLElement, name: string, importLine: ?string, declared: boolean }}
+ */
+const getDeclaredSuperclass = (module, modules, superclass) => {
+  for (let ancestor = superclass; typeof ancestor.describeAttributes === 'function'; ancestor = getSuperclass(ancestor)) {
+    if (module.definitions.some(({ constructor }) => constructor === ancestor)) {
+      return { superclass: ancestor, name: ancestor.name, importLine: null, declared: true };
+    }
+
+    const declaringModule = findDeclaringModule(modules, ancestor);
+
+    if (declaringModule?.definition.exportName) {
+      const { exportName } = declaringModule.definition;
+      const specifier = exportName === 'default' ? `default as ${ancestor.name}` : `${exportName}${exportName === ancestor.name ? '' : ` as ${ancestor.name}`}`;
+
+      return {
+        superclass: ancestor,
+        name: ancestor.name,
+        importLine: `import type { ${specifier} } from '${getImportSpecifier(module.path, declaringModule.module.path)}';`,
+        declared: true
+      };
+    }
+  }
+
+  const base = getBaseClass(superclass);
+
+  return { superclass: base, name: base.name, importLine: null, declared: false };
+};
+/**
+ * Creates the TypeScript declarations (the contents of a .d.ts file next to the module) for the custom elements of a module,
+ * including their entries in the global HTMLElementTagNameMap (so that i.e. document.createElement('tab-list') is typed).
+ *
+ * A class that extends a declared custom element class only declares the IDL Attributes it adds or overrides. Every
+ * other class, and one that changes the type of an IDL Attribute it inherits (which TypeScript does not allow), is
+ * declared as extending the class the mixin was applied to, with every IDL Attribute and the members the mixin adds
+ * (such as setAttributeState()).
+ *
+ * @param {CustomElementModule} module
+ * @param {Object} [options]
+ * @param {string} [options.tokenListModule] - The module to import the AttributeTokenList type from, for tokens type attributes.
+ * @param {CustomElementModule[]} [options.modules] - All the modules, to import the custom element classes that classes of this module extend from.
+ * @returns {string}
+ * @throws Will throw an error if any of the attribute configs are invalid.
+ */
+const createDeclarations = (module, { tokenListModule = 'attributes-mixin/src/attribute-token-list.js', modules = [module] } = {}) => {
+  const { definitions } = module;
+  const importLines = new Set();
+  const lines = [];
+
+  definitions.forEach(({ constructor }) => {
+    const descriptions = constructor.describeAttributes().filter(({ idlName }) => idlName);
+    let { superclass, name: superclassName, importLine, declared } = getDeclaredSuperclass(module, modules, getSuperclass(constructor));
+    let inheritedTypes = new Map(declared ? superclass.describeAttributes().filter(({ idlName }) => idlName).map((description) => {
+      return [description.idlName, `${description.readonly}:${getTypeText(description)}`];
+    }) : []);
+
+    if (descriptions.some(({ idlName, readonly, ...description }) => {
+      return inheritedTypes.has(idlName) && inheritedTypes.get(idlName) !== `${readonly}:${getTypeText({ idlName, readonly, ...description })}`;
+    })) {
+      // TypeScript does not allow a class to change the type of a property it inherits, so declare it like one that extends the base class.
+      superclass = getBaseClass(superclass);
+      superclassName = superclass.name;
+      importLine = null;
+      declared = false;
+      inheritedTypes = new Map();
+    }
+
+    if (importLine) {
+      importLines.add(importLine);
+    }
+    lines.push(`declare class ${constructor.name} extends ${superclassName} {`);
+    if (!declared) {
+      lines.push(...MIXIN_MEMBER_DECLARATIONS);
+      if (superclass === globalThis.HTMLElement) { // Customized built-in elements have their own.
+        lines.push(...(constructor.formAssociated ? FORM_ASSOCIATED_MEMBER_DECLARATIONS : []));
+        lines.push(...(constructor.formAssociated || Object.hasOwn(constructor.prototype, 'validity') ? CONSTRAINT_VALIDATION_MEMBER_DECLARATIONS : []));
+      }
+    }
+    descriptions.forEach((description) => {
+      const { idlName, readonly, idlAliases, deprecated } = description;
+      const type = getTypeText(description);
+
+      if (inheritedTypes.get(idlName) === `${readonly}:${type}`) {
+        return; // Declared by the class it extends.
+      }
+      if (type === 'AttributeTokenList') {
+        importLines.add(`import type { AttributeTokenList } from '${tokenListModule}';`);
+      }
+      if (deprecated) {
+        lines.push(`  /** @deprecated ${deprecated} */`);
+      }
+      lines.push(...getFieldDeclarations(idlName, type, readonly));
+      idlAliases.forEach((alias) => {
+        lines.push(`  /** @deprecated Use "${idlName}" instead. */`, ...getFieldDeclarations(alias, type, false));
+      });
+    });
+    lines.push('}', '');
+  });
+
+  lines.push('declare global {', '  interface HTMLElementTagNameMap {');
+  definitions.forEach(({ tagName, constructor }) => {
+    lines.push(`    '${tagName}': ${constructor.name};`);
+  });
+  lines.push('  }', '}', '');
+
+  const exportSpecifiers = definitions.filter(({ exportName }) => exportName).map(({ constructor, exportName }) => {
+    return exportName === constructor.name ? exportName : `${constructor.name} as ${exportName}`;
+  });
+
+  lines.push(exportSpecifiers.length ? `export { ${exportSpecifiers.join(', ')} };` : 'export {};', ''); // Also makes the file a module, which declare global requires.
+
+  return [...importLines, ...(importLines.size ? [''] : []), ...lines].join('\n');
+};
+
+export { createManifest, createDeclarations };
@@ -0,0 +1,198 @@
+import { attributesMixin } from './attributes.mixin.js';
+import { createManifest, createDeclarations } from './custom-elements-manifest.js';
+
+describe('custom elements manifest', () => {
+  class TabList extends attributesMixin(HTMLElement) {
+    static attributes = [
+      { idlName: 'selectedIndex', contentName: 'selected-index', type: 'unsigned', defaultValue: 0, event: true },
+      { idlName: 'orientation', contentName: 'orientation', type: 'enum', values: ['horizontal', 'vertical'], aliases: ['direction'] },
+      { idlName: 'features', contentName: 'features', type: 'tokens' },
+      { idlName: 'count', contentName: 'count', type: 'number' },
+      { idlName: 'total', compute: () => 3 },
+      { contentName: 'data-theme', deprecated: 'Use CSS custom properties instead.' }
+    ];
+  }
+  class TabPanel extends attributesMixin(HTMLElement) {
+    static attributes = [
+      { idlName: 'open', type: 'boolean' }
+    ];
+  }
+
+  class BaseButton extends attributesMixin(HTMLElement) {
+    static formAssociated = true;
+    static attributes = [
+      { idlName: 'variant', contentName: 'variant', type: 'enum', values: ['primary', 'secondary'] }
+    ];
+  }
+  class FancyButton extends BaseButton {
+    static attributes = [
+      { idlName: 'variant', contentName: 'variant', type: 'enum', values: ['primary', 'secondary'], defaultValue: 'primary' },
+      { idlName: 'sparkles', type: 'boolean' }
+    ];
+  }
+  class TextButton extends FancyButton {
+    static attributes = [
+      { idlName: 'variant', contentName: 'variant', type: 'enum', values: ['primary', 'secondary', 'text'] }
+    ];
+  }
+
+  const mixinMembers = [
+    '  static readonly observedAttributes: string[];',
+    '  static describeAttributes(): Record<string, unknown>[];',
+    '  protected readonly elementInternals: ElementInternals | null;',
+    '  readonly updateComplete: Promise<void>;',
+    '  attachInternals(): ElementInternals;',
+    '  updated(changedAttributes: Map<string, unknown>): void;',
+    '  getAttributeState(): Record<string, unknown>;',
+    '  setAttributeState(state: Record<string, unknown>): void;',
+    '  toJSON(): Record<string, unknown>;',
+    '  attributeChangedCallback(attributeName: string, oldValue: string | null, newValue: string | null): void;',
+    '  connectedCallback(): void;',
+    '  disconnectedCallback(): void;'
+  ];
+  const modules = [
+    {
+      path: 'src/tab-list.js',
+      definitions: [
+        { tagName: 'tab-list', constructor: TabList, exportName: 'TabList' },
+        { tagName: 'tab-panel', constructor: TabPanel, exportName: null }
+      ]
+    }
+  ];
+
+  describe('createManifest()', () => {
+    it('should describe the attributes, fields and events of each custom element', () => {
+      const manifest = createManifest(modules);
+
+      expect(manifest.schemaVersion).toEqual('1.0.0');
+      expect(manifest.modules).toHaveLength(1);
+      expect(manifest.modules[0].declarations[0]).toEqual({
+        kind: 'class',
+        name: 'TabList',
+        tagName: 'tab-list',
+        customElement: true,
+        superclass: { name: 'HTMLElement' },
+        attributes: [
+          { name: 'selected-index', fieldName: 'selectedIndex', type: { text: 'number' }, default: '0' },
+          { name: 'orientation', fieldName: 'orientation', type: { text: '\'horizontal\' | \'vertical\' | \'\'' } },
+          { name: 'direction', fieldName: 'orientation', type: { text: '\'horizontal\' | \'vertical\' | \'\'' }, deprecated: 'Use "orientation" instead.' },
+          { name: 'features', fieldName: 'features', type: { text: 'string' } },
+          { name: 'count', fieldName: 'count', type: { text: 'number | null' } },
+          { name: 'data-theme', type: { text: 'string' }, deprecated: 'Use CSS custom properties instead.' }
+        ],
+        members: [
+          { kind: 'field', name: 'selectedIndex', type: { text: 'number' }, default: '0', attribute: 'selected-index', reflects: true },
+          { kind: 'field', name: 'orientation', type: { text: '\'horizontal\' | \'vertical\' | \'\'' }, attribute: 'orientation', reflects: true },
+          { kind: 'field', name: 'direction', type: { text: '\'horizontal\' | \'vertical\' | \'\'' }, deprecated: 'Use "orientation" instead.' },
+          { kind: 'field', name: 'features', type: { text: 'AttributeTokenList' }, attribute: 'features', reflects: true },
+          { kind: 'field', name: 'count', type: { text: 'number | null' }, attribute: 'count', reflects: true },
+          { kind: 'field', name: 'total', type: { text: 'unknown' }, readonly: true }
+        ],
+        events: [
+          { name: 'selectedIndex-changed', type: { text: 'CustomEvent' } }
+        ]
+      });
+    });
+
+    it('should export the custom element definitions and the exported classes of each module', () => {
+      expect(createManifest(modules).modules[0].exports).toEqual([
+        { kind: 'js', name: 'TabList', declaration: { name: 'TabList', module: 'src/tab-list.js' } },
+        { kind: 'custom-element-definition', name: 'tab-list', declaration: { name: 'TabList', module: 'src/tab-list.js' } },
+        { kind: 'custom-element-definition', name: 'tab-panel', declaration: { name: 'TabPanel', module: 'src/tab-list.js' } }
+      ]);
+    });
+  });
+
+  describe('createDeclarations()', () => {
+    it('should declare the IDL Attributes of each custom element and add them to the HTMLElementTagNameMap', () => {
+      expect(createDeclarations(modules[0], { tokenListModule: './attribute-token-list.js' })).toEqual([
+        'import type { AttributeTokenList } from \'./attribute-token-list.js\';',
+        '',
+        'declare class TabList extends HTMLElement {',
+        ...mixinMembers,
+        '  selectedIndex: number;',
+        '  orientation: \'horizontal\' | \'vertical\' | \'\';',
+        '  /** @deprecated Use "orientation" instead. */',
+        '  direction: \'horizontal\' | \'vertical\' | \'\';',
+        '  get features(): AttributeTokenList;',
+        '  set features(value: string | AttributeTokenList);',
+        '  count: number | null;',
+        '  readonly total: unknown;',
+        '}',
+        '',
+        'declare class TabPanel extends HTMLElement {',
+        ...mixinMembers,
+        '  open: boolean;',
+        '}',
+        '',
+        'declare global {',
+        '  interface HTMLElementTagNameMap {',
+        '    \'tab-list\': TabList;',
+        '    \'tab-panel\': TabPanel;',
+        '  }',
+        '}',
+        '',
+        'export { TabList };',
+        ''
+      ].join('\n'));
+    });
+
+    it('should extend the class each custom element extends, importing it from the module that declares it', () => {
+      const buttonModules = [
+        { path: 'src/base-button.js', definitions: [{ tagName: 'base-button', constructor: BaseButton, exportName: 'default' }] },
+        {
+          path: 'src/fancy/fancy-button.js',
+          definitions: [
+            { tagName: 'fancy-button', constructor: FancyButton, exportName: 'FancyButton' },
+            { tagName: 'text-button', constructor: TextButton, exportName: null }
+          ]
+        }
+      ];
+
+      expect(createManifest(buttonModules).modules.flatMap(({ declarations }) => declarations.map(({ superclass }) => superclass))).toEqual([
+        { name: 'HTMLElement' },
+        { name: 'BaseButton', module: 'src/base-button.js' },
+        { name: 'FancyButton', module: 'src/fancy/fancy-button.js' }
+      ]);
+      expect(createDeclarations(buttonModules[0])).toMatch([
+        'declare class BaseButton extends HTMLElement {',
+        ...mixinMembers,
+        '  static readonly formAssociated: boolean;',
+        '  readonly form: HTMLFormElement | null;',
+        '  readonly labels: NodeListOf<HTMLLabelElement> | null;',
+        '  readonly willValidate: boolean;',
+        '  formResetCallback(): void;',
+        '  formStateRestoreCallback(state: unknown, mode: \'restore\' | \'autocomplete\'): void;',
+        '  readonly validity: ValidityState;',
+        '  readonly validationMessage: string;',
+        '  checkValidity(): boolean;',
+        '  reportValidity(): boolean;',
+        '  variant: \'primary\' | \'secondary\' | \'\';',
+        '  name: string;',
+        '}'
+      ].join('\n'));
+      expect(createDeclarations(buttonModules[1], { modules: buttonModules }).split('\n').slice(0, 21)).toEqual([
+        'import type { default as BaseButton } from \'../base-button.js\';',
+        '',
+        'declare class FancyButton extends BaseButton {',
+        '  sparkles: boolean;', // Not variant, whose type it does not change.
+        '}',
+        '',
+        'declare class TextButton extends HTMLElement {', // It changes the type of variant, which TypeScript does not allow.
+        ...mixinMembers,
+        '  static readonly formAssociated: boolean;',
+        '  readonly form: HTMLFormElement | null;'
+      ]);
+    });
+
+    it('should export the classes under the names the module exports them as', () => {
+      const declarations = createDeclarations({
+        path: 'src/tab-panel.js',
+        definitions: [{ tagName: 'tab-panel', constructor: TabPanel, exportName: 'default' }]
+      });
+
+      expect(declarations).not.toMatch(/^import/);
+      expect(declarations).toMatch(/\nexport \{ TabPanel as default \};\n$/);
+    });
+  });
+});